@@ -0,0 +1,33 @@
+// Anki 纯文本导入导出的单元测试：npm test
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { cardsToAnki, parseAnkiText } from "./anki";
+import { translator } from "./i18n";
+
+const t = translator("en");
+
+describe("parseAnkiText", () => {
+  test("按文件头的分隔符和 HTML 设置拆开背面", () => {
+    const { cards, errors } = parseAnkiText("#separator:tab\n#html:true\n#tags column:3\nqueue\t队列<br>/kjuː/<br>Join the queue here.\tcet4 noun", t);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(cards, [{ term: "queue", cn: "队列", ipa: "/kjuː/", example: "Join the queue here.", tags: ["cet4", "noun"] }]);
+  });
+  test("去掉 GUID、笔记类型和牌组列后再取正面和背面", () => {
+    const text = [
+      "#separator:tab", "#html:true", "#guid column:1", "#notetype column:2", "#deck column:3", "#tags column:6",
+      "f9Xk!2\tBasic\tEnglish::CET4\tqueue\t队列\tcet4",
+    ].join("\n");
+    const { cards, errors } = parseAnkiText(text, t);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(cards, [{ term: "queue", cn: "队列", ipa: undefined, example: undefined, tags: ["cet4"] }]);
+  });
+  test("字段里的引号和缺少背面的行", () => {
+    const { cards, errors } = parseAnkiText('#separator:comma\n"soak, up","吸收"\nlonely', t);
+    assert.equal(cards[0].term, "soak, up");
+    assert.equal(errors.length, 1);
+  });
+  test("导出的文本能原样读回", () => {
+    const card = { term: "queue", cn: "队列", ipa: "/kjuː/", example: "Join the queue here.", tags: ["cet4"] };
+    assert.deepEqual(parseAnkiText(cardsToAnki([card]), t).cards, [card]);
+  });
+});
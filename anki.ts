@@ -0,0 +1,80 @@
+// Anki “Notes in Plain Text” 的导入导出：纯文本处理，不依赖 React 和浏览器 API，可单独测试。
+import type { Card } from "./quiz_engine";
+import type { Translate } from "./i18n";
+
+const CJK = /[㐀-鿿豈-﫿]/;
+
+// ===== Export =====
+function escapeHtml(s: string) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+// 正面=词条，背面=释义/音标/例句，第三列为标签
+export function cardsToAnki(cards: Card[]) {
+  const lines = cards.map((c) => {
+    const back = [c.cn, c.ipa, c.example].filter(Boolean).map((x) => escapeHtml(x as string)).join("<br>");
+    return [escapeHtml(c.term), back, (c.tags || []).join(" ")].map((f) => f.replace(/[\t\r\n]+/g, " ")).join("\t");
+  });
+  return ["#separator:tab", "#html:true", "#tags column:3", ...lines].join("\n");
+}
+
+// ===== Import =====
+// # 开头的文件头给出分隔符、是否含 HTML，以及标签、笔记类型、牌组、GUID 所在的列（从 1 数起）；
+// 去掉这些列后，剩下的第 1 个字段是词条，第 2 个是背面
+// 背面按换行/<br> 拆开：像音标的一段作 IPA，英文句子作例句，其余作释义（与 cardsToAnki 相反）
+const ANKI_SEPARATORS: Record<string, string> = { tab: "\t", comma: ",", semicolon: ";", pipe: "|", space: " ", colon: ":" };
+const META_COLUMNS = ["tags column", "notetype column", "deck column", "guid column"];
+// 字段里含分隔符时 Anki 会加双引号，引号本身写成 ""
+function splitQuoted(line: string, sep: string) {
+  const fields: string[] = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"' && !cur) quoted = true;
+    else if (line.startsWith(sep, i)) { fields.push(cur); cur = ""; i += sep.length - 1; }
+    else cur += ch;
+  }
+  return [...fields, cur];
+}
+function stripHtml(s: string) {
+  return s.replace(/<br\s*\/?>|<\/?div>/gi, "\n").replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&amp;/g, "&");
+}
+export function parseAnkiText(text: string, t: Translate): { cards: Card[]; errors: string[] } {
+  let sep = "\t";
+  let html = false;
+  const columns: Record<string, number> = {};
+  const cards: Card[] = [];
+  const errors: string[] = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const header = line.match(/^#([a-z ]+):(.*)$/i);
+    if (header) {
+      const name = header[1].toLowerCase();
+      const value = header[2].trim();
+      if (name === "separator") sep = ANKI_SEPARATORS[value.toLowerCase()] ?? value;
+      else if (name === "html") html = value === "true";
+      else if (META_COLUMNS.includes(name)) columns[name] = Number(value) || 0;
+      return;
+    }
+    const fail = (error: string) => errors.push(t("common.rowError", { row: i + 1, error }));
+    const all = splitQuoted(line, sep).map((f) => (html ? stripHtml(f) : f).trim());
+    const meta = new Set(Object.values(columns).filter((n) => n > 0).map((n) => n - 1));
+    const fields = all.filter((_, k) => !meta.has(k));
+    if (fields.length < 2) { fail(t("anki.noSeparator")); return; }
+    const term = fields[0].replace(/\s+/g, " ");
+    if (!term) { fail(t("anki.noFront")); return; }
+    const parts = fields[1].split("\n").map((p) => p.trim()).filter(Boolean);
+    const ipa = parts.find((p) => /^[/[].+[/\]]$/.test(p));
+    const example = parts.find((p) => p !== ipa && !CJK.test(p) && /[A-Za-z]+\s+[A-Za-z]+/.test(p));
+    const cn = parts.filter((p) => p !== ipa && p !== example).join("；");
+    const tagsColumn = columns["tags column"];
+    const tags = tagsColumn ? (all[tagsColumn - 1] || "").split(/\s+/).filter(Boolean) : [];
+    cards.push({ term, cn: cn || undefined, ipa, example, tags: tags.length ? tags : undefined });
+  });
+  return { cards, errors };
+}
@@ -0,0 +1,792 @@
+// 界面文字：每条文字一个 key，中文表是基准，其他语言必须逐条对应（缺 key 时类型检查报错）。
+// 文字里的 {name} 由 translate 的 vars 填入；使用说明里用 `…` 标出代码片段，由界面渲染成 <code>。
+
+export type Locale = "zh" | "en";
+// 语言切换菜单里显示的名称，用各自的语言书写
+export const LOCALES: Record<Locale, string> = { zh: "中文", en: "English" };
+
+const zh = {
+  // 模式
+  "mode.eng2cn": "英 → 中",
+  "mode.cn2engChoice": "中 → 英（选择）",
+  "mode.cn2eng": "中 → 英（拼写）",
+  "mode.listening": "听力（TTS）",
+  "mode.ipa": "发音（选音标）",
+  "mode.ipa2eng": "音标 → 英文",
+  "mode.audio2ipa": "听音 → 音标",
+  "mode.clozeChoice": "例句填空（选择）",
+  "mode.cloze": "例句填空（拼写）",
+  "mode.usage": "用法（句子）",
+  "mode.dictation": "听写（拼写）",
+  "mode.speaking": "跟读（口语）",
+  "requires.gloss": "释义",
+  "requires.ipa": "音标",
+  "requires.example": "含该词的例句",
+  "modes.title": "模式",
+  "modes.requires": "本模式只使用有{field}的卡片：{n} / {total} 张",
+  "modes.count": "（{n}）",
+
+  // 语言
+  "lang.en": "英语",
+  "lang.zh": "中文",
+  "lang.ja": "日语",
+  "lang.ko": "韩语",
+  "lang.es": "西班牙语",
+  "lang.fr": "法语",
+  "lang.de": "德语",
+  "lang.target": "学习语言",
+  "lang.gloss": "释义语言",
+
+  // 通用
+  "common.cancel": "取消",
+  "common.close": "关闭",
+  "common.save": "保存",
+  "common.clear": "清除",
+  "common.clearAll": "清空",
+  "common.view": "查看",
+  "common.done": "完成",
+  "common.prevPage": "上一页",
+  "common.nextPage": "下一页",
+  "common.seconds": "{n} 秒",
+  "common.days": "{n} 天",
+  "common.listSeparator": "、",
+  "common.rowError": "第 {row} 行：{error}",
+
+  // 顶栏
+  "header.upload": "上传词表（Excel/CSV/JSON/Anki 文本）",
+  "header.paste": "粘贴词表",
+  "header.uploadUsage": "上传用法题",
+  "header.backup": "备份数据",
+  "header.restore": "恢复备份",
+  "header.stats": "学习统计",
+  "header.language": "界面语言",
+
+  // 词库
+  "library.title": "词库（可多选合并练习）",
+  "library.summary": "已选 {decks} 个词库，本轮 {cards} 张卡片",
+  "library.words": "{n} 词",
+  "library.builtin": " · 内置",
+  "library.builtinEdited": " · 内置（已修正）",
+  "library.languages": "{target} → {gloss}",
+  "library.issues": "{n} 个问题",
+  "library.reset": "还原",
+  "library.rename": "改名",
+  "library.delete": "删除",
+  "library.duplicates": "发现 {n} 个重复词：{list}",
+  "library.duplicateItem": "{term}（{decks}）",
+  "library.dedupe": "只保留一张",
+  "library.tagFilter": "按标签筛选：",
+  "library.mixedLanguages": "所选词库的学习语言不同，朗读和判分按{lang}处理。",
+  "deck.overwrite": "词库“{name}”已存在，要用新上传的内容覆盖吗？",
+  "deck.renamePrompt": "新的词库名称",
+  "deck.nameTaken": "已有同名词库",
+  "deck.deleteConfirm": "确定删除词库“{name}”？复习记录和错题不会被删除。",
+  "deck.resetConfirm": "确定放弃对“{name}”的修正，恢复内置数据？",
+  "deck.mistakesFile": "错题本-{date}",
+  "deck.pastedName": "粘贴-{date}",
+  "tags.prompt": "标签（用逗号或空格分隔）",
+
+  // 备份与导出
+  "backup.invalid": "不是有效的备份文件",
+  "backup.restoreConfirm": "恢复备份会覆盖当前浏览器里的全部数据（词库、复习记录、错题本、设置），确定继续？",
+  "backup.restored": "已恢复 {n} 项数据，页面将重新加载。",
+  "backup.restoreFailed": "恢复失败：{error}",
+  "storage.full": "保存失败：浏览器存储空间已满，新的进度没有保存。请先导出备份，再清空答题记录或删除不用的词库。",
+  "export.placeholder": "导出…",
+  "export.xlsx": "Excel（.xlsx）",
+  "export.csv": "CSV",
+  "export.anki": "Anki 文本",
+  "export.json": "JSON 词库",
+  "export.sheetCards": "词表",
+  "export.sheetUsage": "用法题",
+
+  // 用法题
+  "usage.bank": "用法题库",
+  "usage.builtin": "内置（{n}）",
+  "usage.custom": "自定义（{n}）",
+  "usage.both": "全部",
+  "usage.clearConfirm": "确定清空自定义用法题？",
+  "usage.imported": "已导入 {n} 道用法题。",
+  "usage.skipped": "跳过 {n} 行：",
+  "usage.parseFailed": "解析失败：请确认列为 题目/A/B/C/D/答案/解析。",
+  "usage.readFailed": "读取文件失败，请上传 .xlsx/.xls/.csv",
+  "usage.noQuestion": "缺少题目",
+  "usage.fewOptions": "至少需要 2 个选项",
+  "usage.badAnswer": "答案“{answer}”无法对应到选项",
+
+  // 导入
+  "import.readFailed": "读取文件失败，请上传 .xlsx/.xls/.csv/.json/.txt",
+  "import.title": "导入：{name}",
+  "import.sheets": "工作表（可多选合并）",
+  "import.sheetUsage": "用法题 {n}",
+  "import.sheetRows": "{n} 行",
+  "import.columns": "列映射",
+  "import.hasHeader": "第一行是表头",
+  "import.skipColumn": "（不导入）",
+  "import.column": "第 {n} 列",
+  "import.summary": "将导入 {cards} 张卡片，跳过 {skipped} 行",
+  "import.summaryUsage": "将导入 {cards} 张卡片、{usage} 道用法题，跳过 {skipped} 行",
+  "import.skippedTitle": "跳过原因",
+  "import.submit": "导入",
+  "import.noTerm": "词条列为空",
+  "column.term": "词条",
+  "column.cn": "释义",
+  "column.ipa": "音标",
+  "column.pos": "词性",
+  "column.senses": "义项",
+  "column.example": "例句",
+  "column.tags": "标签",
+
+  // 文本导入
+  "textImport.title": "文本导入",
+  "textImport.name": "词库名称",
+  "textImport.separator": "词条与释义之间用",
+  "textImport.customPlaceholder": "如 ：或 =",
+  "textFormat.list": "粘贴的词表",
+  "textFormat.anki": "Anki 纯文本",
+  "textFormat.json": "JSON 词库",
+  "separator.tab": "制表符",
+  "separator.comma": "逗号",
+  "separator.dash": "“ - ”",
+  "separator.custom": "自定义",
+  "json.syntax": "JSON 格式错误（{error}）",
+  "json.notDeck": "不是词库 JSON：需要 cards 或 usage 数组",
+  "json.item": "{list} 第 {n} 项：{error}",
+  "json.noTerm": "缺少 term",
+  "json.noQuestion": "缺少 q",
+  "json.optionCount": "需要 2–4 个选项",
+  "json.badAnswer": "answer 无法对应到选项",
+  "anki.noSeparator": "找不到分隔符，至少需要正面和背面两列",
+  "anki.noFront": "正面为空",
+  "list.customEmpty": "请填写自定义分隔符",
+  "list.noSeparator": "找不到分隔符",
+  "list.noTerm": "词条为空",
+
+  // 数据检查
+  "lint.none": "数据检查：未发现问题",
+  "lint.found": "数据检查：发现 {n} 个问题",
+  "lint.autofix": "合并重复并补全音标斜杠",
+  "lint.coverage": "{mode} 可出题 {n} / {total}",
+  "lint.coverageSeparator": "；",
+  "lint.card": "第 {n} 张",
+  "lint.dialogTitle": "数据检查：{name}",
+  "lint.duplicate": "与第 {n} 张重复",
+  "lint.swapped": "词条和释义可能两列对调了",
+  "lint.cjkTerm": "词条含有中文",
+  "lint.longTerm": "词条过长，像是句子而不是词条",
+  "lint.ipaBare": "音标缺少 /…/",
+  "lint.ipa": "音标格式不对",
+  "lint.noGloss": "缺少释义，{modes}无法出题",
+  "lintFix.drop": "删除",
+  "lintFix.merge": "合并到第一张",
+  "lintFix.swap": "对调词条和释义",
+  "lintFix.split": "只保留英文部分",
+  "lintFix.slashes": "补上斜杠",
+  "lintFix.edit": "编辑",
+
+  // 进度与得分
+  "progress.title": "进度",
+  "progress.reviewOnly": "今日复习",
+  "progress.due": "到期 {n}",
+  "score.title": "得分",
+  "score.summary": "正确 {correct} / 尝试 {attempted}（准确率 {accuracy}%）",
+  "options.shuffle": "随机顺序",
+  "options.bySense": "逐个义项出题",
+  "options.reshuffle": "重排卡片",
+  "due.today": "今天",
+  "due.tomorrow": "明天",
+  "due.days": "{n} 天后",
+
+  // 朗读
+  "speech.title": "朗读设置",
+  "speech.accent": "口音",
+  "speech.british": "英音（en-GB）",
+  "speech.american": "美音（en-US）",
+  "speech.voice": "语音",
+  "speech.defaultVoice": "默认",
+  "speech.rate": "语速",
+  "speech.repeat": "自动重复",
+  "speech.times": "{n} 遍",
+  "speech.test": "试听",
+  "speech.otherLanguage": "口音和语音只用于英语词库；当前词库是{lang}，按 {locale} 朗读。",
+
+  // 考试
+  "exam.title": "考试（定量限时，交卷后出报告）",
+  "exam.count": "题数",
+  "exam.minutes": "时限",
+  "exam.minutesUnit": "分钟（0 为不限时）",
+  "exam.modes": "题型：",
+  "exam.start": "开始考试",
+  "exam.history": "考试记录",
+  "exam.clearConfirm": "确定清空考试记录？",
+  "exam.historyRow": "{correct} / {total} · 用时 {time}",
+  "exam.timedOut": "（超时）",
+  "exam.abandon": "放弃本次考试？",
+  "exam.noItems": "所选题型在当前词库中没有可出的题。",
+  "exam.progress": "考试中：第 {n} / {total} 题 · {mode}",
+  "exam.remaining": "剩余 {time}",
+  "exam.elapsed": "用时 {time}",
+  "exam.submit": "交卷",
+  "exam.submitConfirm": "确定交卷？没做的题按答错计。",
+  "exam.note": "考试中作答后直接进入下一题，交卷后再看对错。",
+  "exam.scoreHidden": "考试中不显示得分，交卷后见报告。",
+
+  // 打印练习卷
+  "worksheet.title": "打印练习卷（单独一页答案）",
+  "worksheet.source": "来源",
+  "worksheet.current": "当前词库（含标签筛选）",
+  "worksheet.mistakes": "错题本",
+  "worksheet.count": "每种题型题数",
+  "worksheet.kinds": "题型：",
+  "worksheet.shuffle": "随机抽题",
+  "worksheet.generate": "生成练习卷",
+  "worksheet.empty": "所选来源中没有能出这些题型的卡片。",
+  "worksheet.print": "打印",
+  "worksheet.regenerate": "换一套",
+  "worksheet.fields": "姓名 __________　日期 __________　得分 __________",
+  "worksheet.section": "第 {n} 部分　{title}",
+  "worksheet.answerKey": "答案",
+  "worksheetKind.matching": "连线（单词 ↔ 释义）",
+  "worksheetKind.spelling": "看释义写单词",
+  "worksheetKind.ipa": "音标选择",
+  "worksheetKind.usage": "用法选择",
+  "worksheetHint.matching": "把左栏的单词和右栏的释义配对，在横线上写出字母。",
+  "worksheetHint.spelling": "根据释义写出单词。",
+  "worksheetHint.ipa": "选出单词的正确音标。",
+  "worksheetHint.usage": "选出最恰当的一项。",
+
+  // 答题
+  "quiz.pickMode": "选择一个模式开始：英→中 / 中→英 / 听力 / 发音（音标） / 音标→英文 / 听音→音标 / 用法（句子） / 听写 / 跟读。",
+  "quiz.reviewDone": "今日复习已完成：当前模式没有到期的卡片。",
+  "quiz.noCards": "当前没有可练习的卡片：请在词库中勾选词库，或清除标签筛选。",
+  "quiz.current": "当前题目",
+  "quiz.tags": "标签",
+  "quiz.retrying": "错题重练中（{n} 题）",
+  "quiz.exitRetry": "退出",
+  "quiz.play": "▶ 朗读",
+  "quiz.model": "▶ 示范",
+  "quiz.slow": "🐢 慢速",
+  "quiz.dictationPrompt": "听音拼写",
+  "quiz.audioIpaPrompt": "听音选音标",
+  "quiz.hint": "提示：{gloss}",
+  "quiz.clozeForm": "（按句子填入适当形式）",
+  "quiz.noGlossSpell": "（无释义，直接拼写）",
+  "quiz.noGloss": "（无释义）",
+  "quiz.options": "选项",
+  "quiz.correctOption": "✓ 正确答案",
+  "quiz.yourChoice": "✗ 你的选择",
+  "quiz.spelling": "拼写",
+  "quiz.spellingPlaceholder": "请输入拼写，回车提交",
+  "quiz.submit": "提交",
+  "quiz.answer": "正确答案",
+  "quiz.playExample": "▶ 朗读例句",
+  "quiz.nextReview": "下次复习：{due}（间隔 {n} 天）",
+  "quiz.shortcutHint": "快捷键：1–4 选择，R 显示答案，P 重播，U 撤销，揭晓后空格/回车下一题",
+  "quiz.allShortcuts": "全部快捷键（?）",
+  "quiz.undo": "撤销",
+  "quiz.reveal": "显示答案",
+  "quiz.skip": "跳过",
+  "quiz.next": "下一题",
+  "quiz.announceAnswer": "正确答案：{answer}",
+  "quiz.announceCorrect": "回答正确：{answer}",
+  "quiz.announceWrong": "回答错误。正确答案：{answer}",
+
+  // 跟读
+  "speaking.stop": "■ 停止",
+  "speaking.start": "🎙 开始跟读",
+  "speaking.triesLeft": "剩余 {n} 次机会",
+  "speaking.unsupported": "当前浏览器不支持语音识别，可点“显示答案”查看读音。",
+  "speaking.error": "识别出错：{error}",
+  "speaking.retry": "第 {n} 次：听到“{heard}”，再试一次",
+  "speaking.heard": "第 {n} 次听到：“{heard}”",
+  "speaking.nothing": "（没有识别到声音）",
+
+  // 拼写反馈
+  "verdict.correct": "✓ 拼写正确",
+  "verdict.close": "≈ 接近：有小的拼写错误",
+  "verdict.wrong": "✗ 拼写错误",
+  "spelling.synonym": "✓ 这个词也有这个义项，本题答案是 {expected}",
+  "spelling.otherTerm": "✗ 写成了词库中的另一个词",
+  "spelling.normalized": "（按 {expected} 计，已忽略大小写、空格、标点和英美拼写差异）",
+  "spelling.yours": "你的拼写",
+
+  // 错题本
+  "mistakes.title": "错题本（{n}）",
+  "mistakes.search": "搜索错题",
+  "mistakes.retry": "错题重练：",
+  "mistakes.clearAfterBefore": "连续答对",
+  "mistakes.clearAfterAfter": "次后移出",
+  "mistakes.row": "错 {misses} 次 · 最近 {date} · 连对 {streak}/{target}",
+  "mistakes.remove": "移除",
+  "mistakes.clear": "清空错题本",
+  "mistakes.clearConfirm": "确定清空错题本？",
+
+  // 考试报告
+  "report.title": "考试报告 · {date}",
+  "report.timedOut": " · 到时自动交卷",
+  "report.score": "得分",
+  "report.points": "{n} 分",
+  "report.correct": "答对 {correct} / {total}",
+  "report.answered": "已作答",
+  "report.duration": "总用时",
+  "report.limit": "时限 {n} 分钟",
+  "report.noLimit": "不限时",
+  "report.average": "平均每题",
+  "report.byMode": "各题型",
+  "report.modeRow": "{correct}/{total} · 平均 {secs} 秒",
+  "report.review": "逐题对照",
+  "report.yourAnswer": "你的答案：{answer}",
+  "report.empty": "（空）",
+  "report.unanswered": "（未作答）",
+  "report.answer": "正确答案：{answer}",
+
+  // 学习统计
+  "stats.title": "学习统计",
+  "stats.allDecks": "全部词库",
+  "stats.exportCsv": "导出 CSV",
+  "stats.clear": "清空记录",
+  "stats.clearConfirm": "确定清空答题记录？",
+  "stats.total": "累计作答",
+  "stats.accuracy": "总准确率",
+  "stats.averageTime": "平均用时",
+  "stats.streak": "连续学习",
+  "stats.longest": "最长 {longest} 天 · 共 {days} 天",
+  "stats.recent": "近 {n} 天准确率",
+  "stats.perMode": "各模式",
+  "stats.none": "暂无记录",
+  "stats.modeRow": "{pct}%（{correct}/{total}）· {secs} 秒",
+  "stats.weakest": "最薄弱的词",
+  "stats.weakestNone": "暂无（同一个词至少答两次才统计）",
+  "stats.missed": "错 {missed}/{total}",
+
+  // 快捷键
+  "shortcuts.title": "快捷键",
+  "shortcuts.choose": "选择对应选项",
+  "shortcuts.enter": "拼写题提交；揭晓答案后进入下一题",
+  "shortcuts.space": "揭晓答案后进入下一题",
+  "shortcuts.reveal": "显示答案",
+  "shortcuts.replay": "重播读音",
+  "shortcuts.undo": "撤销上一次作答",
+  "shortcuts.escape": "离开拼写输入框（之后可用其他快捷键）；关闭本说明",
+  "shortcuts.help": "打开/关闭快捷键说明",
+  "shortcuts.typing": "在拼写输入框里打字时只响应回车和 Esc，不会误触其他快捷键。",
+
+  // 使用说明
+  "help.title": "使用说明",
+  "help.upload": "支持上传 `.xlsx/.csv`：上传后可选择（或合并）工作表、指定词条/释义/音标/词性/例句/标签所在列，并预览将导入与跳过的行数。",
+  "help.spelling": "拼写题会忽略大小写、多余空格、弯引号和英美拼写差异（finalise/finalize），并接受 `soak / soak up`、`colo(u)r` 这类备选写法；答错时逐字母标出差异。",
+  "help.dictation": "“听写”朗读单词后输入拼写，判分方式与中→英相同；可在“朗读设置”中选择英音/美音、具体语音、语速和自动重复次数，设置保存在本地。",
+  "help.speaking": "“跟读”显示单词和音标，点“开始跟读”后朗读单词，由语音识别判定是否读对；每题最多 {max} 次机会，结果计入得分和错题本。",
+  "help.listening": "“听力（TTS）”可朗读单词；“发音（音标）”模式会就 IPA 进行四选一测试，干扰项是移动重音、长短元音互换等近似读音。",
+  "help.crossModes": "“音标 → 英文”看音标选单词，“听音 → 音标”只播放读音、选出正确的音标，“中 → 英（选择）”先用选择题熟悉中译英再练拼写；各模式只使用带所需字段（音标或释义）的卡片，模式按钮上显示可出题的卡片数。",
+  "help.lint": "导入和词库中的数据会自动检查：重复词、词条与释义两列对调、词条含中文或过长、音标缺少 `/…/`、缺少释义等；可在导入对话框或词库的“个问题”中逐条删除、合并或编辑，内置词库的修正保存在本地，可随时还原。",
+  "help.library": "上传的词表会保存到“词库”，可改名、删除；内置的 7.29 / 8.27 / 8.28 也在其中。勾选多个词库即合并练习，重复的词会提示并可只保留一张；练习时可给卡片打标签，再按标签筛选。",
+  "help.usage": "“用法（句子）”题库已结合你 8.26/8.27/8.28 的词，练搭配与语法。",
+  "help.uploadUsage": "“上传用法题”支持列 `题目 / A / B / C / D / 答案 / 解析`：C、D 可留空，答案可填字母、序号（1-4）或选项原文；词表工作簿中的用法题工作表也会自动识别。",
+  "help.mistakes": "错题本保存在本地，同一题只记一条并累计错误次数；连续答对若干次后自动移出，可用“错题重练”在任意模式下只练错题。",
+  "help.export": "词库和错题本可导出为 `.xlsx` / `.csv`（与上传格式相同，可再导入）或 Anki 可导入的制表符文本；“备份数据”把全部本地数据存成 JSON，换浏览器或清理缓存后用“恢复备份”还原。",
+  "help.stats": "“学习统计”汇总本地保存的答题记录：每日准确率、各模式准确率、平均用时、最常错的词和连续学习天数，并可导出 CSV。",
+  "help.exam": "“考试”按设置的题数和时限，从当前词库和用法题库中混合抽取英→中、中→英、听力、发音、用法题；作答时不显示对错，交卷或到时后给出得分、每题用时、各题型得分和逐题对照，记录保存在本地。",
+  "help.senses": "释义按“；”“、”拆成义项，也可在导入时用“义项”列写成 `n. 队列 | v. 排队`；勾选“逐个义项出题”后，多义词在英→中、中→英、听力中每个义项各出一题，揭晓答案时列出全部义项并标出本题问的那个；中→英拼写写出同样有该义项的另一个词也算对。",
+  "help.cloze": "“例句填空”用导入时“例句”列的句子出题，自动挖掉目标词（包括 soaked、finalised 这类变形和英式拼写）；拼写版按句中的实际形式判分，选择版选原形；例句里找不到该词的卡片不出题。揭晓答案时可朗读整句。",
+  "help.textImport": "“上传词表”也接受 JSON 词库（格式同“导出 → JSON 词库”，保留释义、义项、音标、标签和用法题）和 Anki 的“Notes in Plain Text”导出；“粘贴词表”可直接粘贴 Quizlet 等导出的列表，每行一个词，词条和释义之间用制表符、逗号、“ - ”或自定义分隔符。解析不了的行会逐行列出原因。",
+  "help.keyboard": "全程可用键盘：1–4 选择，拼写题回车提交，揭晓答案后空格或回车进入下一题，R 显示答案，P 重播读音，U 撤销上一次作答（排期、错题本和答题记录一并恢复），按 ? 查看全部快捷键。作答结果会通知读屏软件，对错除颜色外也用 ✓/✗ 文字标出。",
+  "help.languages": "右上角可切换界面语言（中文 / English）。每个词库有学习语言和释义语言（导入时选择，词库列表里点语言可修改）：朗读和跟读按学习语言发音，英式/美式拼写归一和词形变化只对英语词库生效，其他语言按原文判分；中文、日语例句按字查找挖空。",
+  "help.worksheet": "“打印练习卷”从当前词库（含标签筛选）、任一词库或错题本生成连线、看释义写单词、音标选择和用法题，可设每种题型的题数和是否随机抽题；选项和干扰项与在线练习的规则相同，同一个词只出现一次。答案单独成页，用浏览器打印即可，点“换一套”重新抽题。",
+  "help.srs": "每次作答都会按 SM-2 更新复习间隔并保存在本地；勾选“今日复习”只练当前模式下到期的卡片。",
+};
+
+export type MessageKey = keyof typeof zh;
+export type Vars = Record<string, string | number>;
+export type Translate = (key: MessageKey, vars?: Vars) => string;
+
+const en: Record<MessageKey, string> = {
+  "mode.eng2cn": "Term → Meaning",
+  "mode.cn2engChoice": "Meaning → Term (choice)",
+  "mode.cn2eng": "Meaning → Term (spelling)",
+  "mode.listening": "Listening (TTS)",
+  "mode.ipa": "Pronunciation (pick IPA)",
+  "mode.ipa2eng": "IPA → Term",
+  "mode.audio2ipa": "Audio → IPA",
+  "mode.clozeChoice": "Cloze (choice)",
+  "mode.cloze": "Cloze (spelling)",
+  "mode.usage": "Usage (sentences)",
+  "mode.dictation": "Dictation (spelling)",
+  "mode.speaking": "Speaking (repeat)",
+  "requires.gloss": "a meaning",
+  "requires.ipa": "IPA",
+  "requires.example": "an example sentence containing the term",
+  "modes.title": "Mode",
+  "modes.requires": "This mode only uses cards with {field}: {n} / {total}",
+  "modes.count": " ({n})",
+
+  "lang.en": "English",
+  "lang.zh": "Chinese",
+  "lang.ja": "Japanese",
+  "lang.ko": "Korean",
+  "lang.es": "Spanish",
+  "lang.fr": "French",
+  "lang.de": "German",
+  "lang.target": "Target language",
+  "lang.gloss": "Meaning language",
+
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.save": "Save",
+  "common.clear": "Clear",
+  "common.clearAll": "Clear",
+  "common.view": "View",
+  "common.done": "Done",
+  "common.prevPage": "Previous",
+  "common.nextPage": "Next",
+  "common.seconds": "{n} s",
+  "common.days": "{n} days",
+  "common.listSeparator": ", ",
+  "common.rowError": "Line {row}: {error}",
+
+  "header.upload": "Upload words (Excel/CSV/JSON/Anki text)",
+  "header.paste": "Paste a list",
+  "header.uploadUsage": "Upload usage questions",
+  "header.backup": "Back up data",
+  "header.restore": "Restore backup",
+  "header.stats": "Statistics",
+  "header.language": "Interface language",
+
+  "library.title": "Decks (select several to practise together)",
+  "library.summary": "{decks} decks selected, {cards} cards this round",
+  "library.words": "{n} words",
+  "library.builtin": " · built-in",
+  "library.builtinEdited": " · built-in (fixed)",
+  "library.languages": "{target} → {gloss}",
+  "library.issues": "{n} issues",
+  "library.reset": "Revert",
+  "library.rename": "Rename",
+  "library.delete": "Delete",
+  "library.duplicates": "{n} duplicate words: {list}",
+  "library.duplicateItem": "{term} ({decks})",
+  "library.dedupe": "Keep only one",
+  "library.tagFilter": "Filter by tag:",
+  "library.mixedLanguages": "The selected decks have different target languages; speech and grading use {lang}.",
+  "deck.overwrite": "A deck named \"{name}\" already exists. Replace it with the uploaded words?",
+  "deck.renamePrompt": "New deck name",
+  "deck.nameTaken": "A deck with that name already exists",
+  "deck.deleteConfirm": "Delete the deck \"{name}\"? Review history and mistakes are kept.",
+  "deck.resetConfirm": "Discard your fixes to \"{name}\" and restore the built-in data?",
+  "deck.mistakesFile": "mistakes-{date}",
+  "deck.pastedName": "pasted-{date}",
+  "tags.prompt": "Tags (separated by commas or spaces)",
+
+  "backup.invalid": "Not a valid backup file",
+  "backup.restoreConfirm": "Restoring a backup replaces all data in this browser (decks, reviews, mistakes, settings). Continue?",
+  "backup.restored": "Restored {n} items. The page will now reload.",
+  "backup.restoreFailed": "Restore failed: {error}",
+  "storage.full": "Could not save: browser storage is full, so new progress is not being kept. Export a backup, then clear the answer log or remove decks you no longer use.",
+  "export.placeholder": "Export…",
+  "export.xlsx": "Excel (.xlsx)",
+  "export.csv": "CSV",
+  "export.anki": "Anki text",
+  "export.json": "JSON deck",
+  "export.sheetCards": "Words",
+  "export.sheetUsage": "Usage",
+
+  "usage.bank": "Usage questions",
+  "usage.builtin": "Built-in ({n})",
+  "usage.custom": "Custom ({n})",
+  "usage.both": "All",
+  "usage.clearConfirm": "Delete all custom usage questions?",
+  "usage.imported": "Imported {n} usage questions.",
+  "usage.skipped": "Skipped {n} lines:",
+  "usage.parseFailed": "Could not read any questions. Columns should be Question/A/B/C/D/Answer/Explanation.",
+  "usage.readFailed": "Could not read the file. Please upload .xlsx/.xls/.csv",
+  "usage.noQuestion": "missing question",
+  "usage.fewOptions": "needs at least 2 options",
+  "usage.badAnswer": "answer \"{answer}\" does not match any option",
+
+  "import.readFailed": "Could not read the file. Please upload .xlsx/.xls/.csv/.json/.txt",
+  "import.title": "Import: {name}",
+  "import.sheets": "Sheets (select several to merge)",
+  "import.sheetUsage": "{n} usage",
+  "import.sheetRows": "{n} rows",
+  "import.columns": "Columns",
+  "import.hasHeader": "First row is a header",
+  "import.skipColumn": "(skip)",
+  "import.column": "Column {n}",
+  "import.summary": "{cards} cards will be imported, {skipped} rows skipped",
+  "import.summaryUsage": "{cards} cards and {usage} usage questions will be imported, {skipped} rows skipped",
+  "import.skippedTitle": "Skipped rows",
+  "import.submit": "Import",
+  "import.noTerm": "term column is empty",
+  "column.term": "Term",
+  "column.cn": "Meaning",
+  "column.ipa": "IPA",
+  "column.pos": "Part of speech",
+  "column.senses": "Senses",
+  "column.example": "Example",
+  "column.tags": "Tags",
+
+  "textImport.title": "Text import",
+  "textImport.name": "Deck name",
+  "textImport.separator": "Term and meaning separated by",
+  "textImport.customPlaceholder": "e.g. : or =",
+  "textFormat.list": "Pasted list",
+  "textFormat.anki": "Anki plain text",
+  "textFormat.json": "JSON deck",
+  "separator.tab": "Tab",
+  "separator.comma": "Comma",
+  "separator.dash": "\" - \"",
+  "separator.custom": "Custom",
+  "json.syntax": "Invalid JSON ({error})",
+  "json.notDeck": "Not a deck: expected a cards or usage array",
+  "json.item": "{list} item {n}: {error}",
+  "json.noTerm": "missing term",
+  "json.noQuestion": "missing q",
+  "json.optionCount": "needs 2–4 options",
+  "json.badAnswer": "answer does not match an option",
+  "anki.noSeparator": "no separator found; front and back fields are required",
+  "anki.noFront": "front is empty",
+  "list.customEmpty": "Enter a custom separator",
+  "list.noSeparator": "no separator found",
+  "list.noTerm": "term is empty",
+
+  "lint.none": "Data check: no problems found",
+  "lint.found": "Data check: {n} problems found",
+  "lint.autofix": "Merge duplicates and add IPA slashes",
+  "lint.coverage": "{mode}: {n} / {total} usable",
+  "lint.coverageSeparator": "; ",
+  "lint.card": "Card {n}",
+  "lint.dialogTitle": "Data check: {name}",
+  "lint.duplicate": "duplicate of card {n}",
+  "lint.swapped": "term and meaning columns may be swapped",
+  "lint.cjkTerm": "term contains Chinese characters",
+  "lint.longTerm": "term is very long; looks like a sentence",
+  "lint.ipaBare": "IPA is missing /…/",
+  "lint.ipa": "malformed IPA",
+  "lint.noGloss": "no meaning, so {modes} can't use it",
+  "lintFix.drop": "Delete",
+  "lintFix.merge": "Merge into first",
+  "lintFix.swap": "Swap term and meaning",
+  "lintFix.split": "Keep the English part",
+  "lintFix.slashes": "Add slashes",
+  "lintFix.edit": "Edit",
+
+  "progress.title": "Progress",
+  "progress.reviewOnly": "Due today only",
+  "progress.due": "{n} due",
+  "score.title": "Score",
+  "score.summary": "{correct} correct / {attempted} tried ({accuracy}%)",
+  "options.shuffle": "Shuffle",
+  "options.bySense": "One sense per question",
+  "options.reshuffle": "Reshuffle",
+  "due.today": "today",
+  "due.tomorrow": "tomorrow",
+  "due.days": "in {n} days",
+
+  "speech.title": "Speech settings",
+  "speech.accent": "Accent",
+  "speech.british": "British (en-GB)",
+  "speech.american": "American (en-US)",
+  "speech.voice": "Voice",
+  "speech.defaultVoice": "Default",
+  "speech.rate": "Rate",
+  "speech.repeat": "Repeat",
+  "speech.times": "{n}×",
+  "speech.test": "Test",
+  "speech.otherLanguage": "Accent and voice apply to English decks only; the current decks are {lang} and are read as {locale}.",
+
+  "exam.title": "Exam (fixed length, timed, report at the end)",
+  "exam.count": "Questions",
+  "exam.minutes": "Time limit",
+  "exam.minutesUnit": "minutes (0 = no limit)",
+  "exam.modes": "Question types:",
+  "exam.start": "Start exam",
+  "exam.history": "Exam history",
+  "exam.clearConfirm": "Delete the exam history?",
+  "exam.historyRow": "{correct} / {total} · {time}",
+  "exam.timedOut": " (timed out)",
+  "exam.abandon": "Abandon this exam?",
+  "exam.noItems": "The selected question types have no questions in the current decks.",
+  "exam.progress": "Exam: question {n} / {total} · {mode}",
+  "exam.remaining": "{time} left",
+  "exam.elapsed": "{time} elapsed",
+  "exam.submit": "Hand in",
+  "exam.submitConfirm": "Hand in now? Unanswered questions count as wrong.",
+  "exam.note": "During the exam each answer moves straight to the next question; results are shown when you hand in.",
+  "exam.scoreHidden": "The score is hidden during the exam; see the report after you hand in.",
+
+  "worksheet.title": "Printable worksheet (answer key on its own page)",
+  "worksheet.source": "Source",
+  "worksheet.current": "Current selection (with tag filter)",
+  "worksheet.mistakes": "Mistake book",
+  "worksheet.count": "Questions per type",
+  "worksheet.kinds": "Question types:",
+  "worksheet.shuffle": "Random selection",
+  "worksheet.generate": "Create worksheet",
+  "worksheet.empty": "The chosen source has no cards for these question types.",
+  "worksheet.print": "Print",
+  "worksheet.regenerate": "New version",
+  "worksheet.fields": "Name __________   Date __________   Score __________",
+  "worksheet.section": "Part {n}: {title}",
+  "worksheet.answerKey": "Answer key",
+  "worksheetKind.matching": "Matching (word ↔ meaning)",
+  "worksheetKind.spelling": "Spell from the meaning",
+  "worksheetKind.ipa": "Choose the IPA",
+  "worksheetKind.usage": "Usage choice",
+  "worksheetHint.matching": "Match each word on the left with a meaning on the right and write the letter on the line.",
+  "worksheetHint.spelling": "Write the word for each meaning.",
+  "worksheetHint.ipa": "Choose the correct transcription for each word.",
+  "worksheetHint.usage": "Choose the best option.",
+
+  "quiz.pickMode": "Pick a mode to start: meaning, spelling, listening, pronunciation, IPA, usage, dictation or speaking.",
+  "quiz.reviewDone": "Today's review is done: no cards are due in this mode.",
+  "quiz.noCards": "No cards to practise: select a deck above or clear the tag filter.",
+  "quiz.current": "Current question",
+  "quiz.tags": "Tags",
+  "quiz.retrying": "Retrying mistakes ({n} questions)",
+  "quiz.exitRetry": "Exit",
+  "quiz.play": "▶ Play",
+  "quiz.model": "▶ Model",
+  "quiz.slow": "🐢 Slow",
+  "quiz.dictationPrompt": "Listen and spell",
+  "quiz.audioIpaPrompt": "Listen and pick the IPA",
+  "quiz.hint": "Hint: {gloss}",
+  "quiz.clozeForm": " (use the form that fits the sentence)",
+  "quiz.noGlossSpell": "(no meaning — just spell the word)",
+  "quiz.noGloss": "(no meaning)",
+  "quiz.options": "Options",
+  "quiz.correctOption": "✓ Correct answer",
+  "quiz.yourChoice": "✗ Your choice",
+  "quiz.spelling": "Spelling",
+  "quiz.spellingPlaceholder": "Type the spelling and press Enter",
+  "quiz.submit": "Submit",
+  "quiz.answer": "Answer",
+  "quiz.playExample": "▶ Play sentence",
+  "quiz.nextReview": "Next review: {due} (interval {n} days)",
+  "quiz.shortcutHint": "Shortcuts: 1–4 choose, R reveal, P replay, U undo, Space/Enter next after reveal",
+  "quiz.allShortcuts": "All shortcuts (?)",
+  "quiz.undo": "Undo",
+  "quiz.reveal": "Show answer",
+  "quiz.skip": "Skip",
+  "quiz.next": "Next",
+  "quiz.announceAnswer": "Answer: {answer}",
+  "quiz.announceCorrect": "Correct: {answer}",
+  "quiz.announceWrong": "Incorrect. The answer is {answer}",
+
+  "speaking.stop": "■ Stop",
+  "speaking.start": "🎙 Start speaking",
+  "speaking.triesLeft": "{n} tries left",
+  "speaking.unsupported": "This browser has no speech recognition; use \"Show answer\" to see the pronunciation.",
+  "speaking.error": "Recognition error: {error}",
+  "speaking.retry": "Try {n}: heard \"{heard}\", try again",
+  "speaking.heard": "Try {n}: heard \"{heard}\"",
+  "speaking.nothing": "(nothing heard)",
+
+  "verdict.correct": "✓ Correct spelling",
+  "verdict.close": "≈ Close: a small spelling mistake",
+  "verdict.wrong": "✗ Wrong spelling",
+  "spelling.synonym": "✓ That word has this meaning too; the expected answer is {expected}",
+  "spelling.otherTerm": "✗ That is a different word from the deck",
+  "spelling.normalized": "(counted as {expected}; case, spaces, punctuation and British/American spelling are ignored)",
+  "spelling.yours": "Your spelling",
+
+  "mistakes.title": "Mistakes ({n})",
+  "mistakes.search": "Search mistakes",
+  "mistakes.retry": "Retry mistakes:",
+  "mistakes.clearAfterBefore": "Remove after",
+  "mistakes.clearAfterAfter": "correct in a row",
+  "mistakes.row": "Missed {misses}× · last {date} · streak {streak}/{target}",
+  "mistakes.remove": "Remove",
+  "mistakes.clear": "Clear mistakes",
+  "mistakes.clearConfirm": "Clear the mistake book?",
+
+  "report.title": "Exam report · {date}",
+  "report.timedOut": " · handed in when time ran out",
+  "report.score": "Score",
+  "report.points": "{n}%",
+  "report.correct": "{correct} / {total} correct",
+  "report.answered": "Answered",
+  "report.duration": "Total time",
+  "report.limit": "Limit {n} min",
+  "report.noLimit": "No limit",
+  "report.average": "Per question",
+  "report.byMode": "By question type",
+  "report.modeRow": "{correct}/{total} · avg {secs} s",
+  "report.review": "Answer review",
+  "report.yourAnswer": "Your answer: {answer}",
+  "report.empty": "(empty)",
+  "report.unanswered": "(not answered)",
+  "report.answer": "Answer: {answer}",
+
+  "stats.title": "Statistics",
+  "stats.allDecks": "All decks",
+  "stats.exportCsv": "Export CSV",
+  "stats.clear": "Clear log",
+  "stats.clearConfirm": "Delete the answer log?",
+  "stats.total": "Answers",
+  "stats.accuracy": "Accuracy",
+  "stats.averageTime": "Average time",
+  "stats.streak": "Streak",
+  "stats.longest": "Longest {longest} days · {days} days in total",
+  "stats.recent": "Accuracy, last {n} days",
+  "stats.perMode": "By mode",
+  "stats.none": "No answers yet",
+  "stats.modeRow": "{pct}% ({correct}/{total}) · {secs} s",
+  "stats.weakest": "Weakest words",
+  "stats.weakestNone": "None yet (a word needs at least two answers)",
+  "stats.missed": "Missed {missed}/{total}",
+
+  "shortcuts.title": "Keyboard shortcuts",
+  "shortcuts.choose": "Choose that option",
+  "shortcuts.enter": "Submit a spelling; next question after reveal",
+  "shortcuts.space": "Next question after reveal",
+  "shortcuts.reveal": "Show answer",
+  "shortcuts.replay": "Replay audio",
+  "shortcuts.undo": "Undo the last answer",
+  "shortcuts.escape": "Leave the spelling input (other shortcuts work again); close this help",
+  "shortcuts.help": "Show/hide this help",
+  "shortcuts.typing": "While typing in the spelling input only Enter and Esc are handled, so other shortcuts can't fire by accident.",
+
+  "help.title": "How to use",
+  "help.upload": "Upload `.xlsx/.csv` files: pick (or merge) sheets, choose which columns hold the term, meaning, IPA, part of speech, example and tags, and preview how many rows will be imported or skipped.",
+  "help.spelling": "Spelling questions ignore case, extra spaces, curly quotes and British/American spelling (finalise/finalize), and accept alternates such as `soak / soak up` and `colo(u)r`; wrong answers get a letter-by-letter diff.",
+  "help.dictation": "Dictation plays the word and you type it; it is graded like Meaning → Term. Speech settings choose the accent, voice, rate and number of repeats, and are saved locally.",
+  "help.speaking": "Speaking shows the word and its IPA; press Start speaking and say it, and speech recognition checks it. Each question allows up to {max} tries, and results count towards the score and the mistake book.",
+  "help.listening": "Listening reads the word aloud; Pronunciation is a four-way IPA choice whose distractors move the stress or swap long and short vowels.",
+  "help.crossModes": "IPA → Term shows a transcription and you pick the word, Audio → IPA only plays the word and you pick the transcription, and Meaning → Term (choice) is a gentler step before spelling. Each mode only uses cards with the fields it needs (IPA or a meaning), and the mode buttons show how many cards qualify.",
+  "help.lint": "Imported and saved decks are checked for duplicates, swapped columns, Chinese or overly long terms, IPA without `/…/` and missing meanings. Fix rows one by one in the import dialog or via a deck's issue count; fixes to built-in decks are stored locally and can be reverted.",
+  "help.library": "Uploaded word lists are saved in the deck library, where they can be renamed or deleted; the built-in 7.29 / 8.27 / 8.28 decks live there too. Select several decks to practise them together, optionally keeping one card per duplicate word, and tag cards to filter by tag.",
+  "help.usage": "Usage (sentences) practises collocations and grammar for the 8.26/8.27/8.28 words.",
+  "help.uploadUsage": "Upload usage questions with the columns `Question / A / B / C / D / Answer / Explanation`: C and D may be empty, and the answer may be a letter, a number (1-4) or the option text. Usage sheets inside a word workbook are detected automatically.",
+  "help.mistakes": "The mistake book is stored locally with one entry per question and a miss count; entries are removed after several correct answers in a row, and Retry mistakes practises only them in any mode.",
+  "help.export": "Decks and mistakes export to `.xlsx` / `.csv` (the upload layout, so they can be re-imported) or tab-separated text for Anki; Back up data saves everything stored locally as JSON, and Restore backup brings it back in another browser.",
+  "help.stats": "Statistics summarises the local answer log: daily accuracy, accuracy per mode, average response time, most-missed words and study streaks, with CSV export.",
+  "help.exam": "Exam draws a fixed number of questions from the current decks and usage questions, mixing meaning, spelling, listening, pronunciation and usage. No feedback is shown until you hand in or time runs out; the report shows the score, time per question, a breakdown by type and a full answer review, and is saved locally.",
+  "help.senses": "Meanings are split into senses at \"；\" and \"、\", or given in a Senses column as `n. 队列 | v. 排队`. With One sense per question, words with several senses get one question per sense in the meaning, spelling and listening modes; the reveal lists every sense and marks the one asked, and spelling another word that shares that sense also counts.",
+  "help.cloze": "Cloze blanks the word in the sentence from the Example column, including inflected forms and British spellings such as soaked and finalised. The spelling version expects the form used in the sentence and the choice version offers base forms; cards whose example doesn't contain the word are left out. The reveal can read the whole sentence aloud.",
+  "help.textImport": "Upload words also accepts JSON decks (the Export → JSON deck format, keeping meanings, senses, IPA, tags and usage questions) and Anki's Notes in Plain Text. Paste a list accepts Quizlet-style lists, one word per line, with a tab, comma, \" - \" or custom separator between term and meaning. Lines that can't be read are listed with the reason.",
+  "help.keyboard": "Everything works from the keyboard: 1–4 choose, Enter submits a spelling, Space or Enter moves on after the reveal, R reveals, P replays, U undoes the last answer (schedule, mistakes and log included) and ? lists all shortcuts. Results are announced to screen readers and marked with ✓/✗ as well as colour.",
+  "help.languages": "Switch the interface language (中文 / English) at the top right. Each deck has a target language and a meaning language, chosen on import and editable from the deck list: speech and speaking practice use the target language, British/American spelling and inflections only apply to English decks, and Chinese or Japanese examples are blanked by characters.",
+  "help.worksheet": "Printable worksheet builds matching, spell-from-meaning, IPA choice and usage questions from the current selection (with tag filter), any deck or the mistake book. Set the number of questions per type and whether to pick at random; options and distractors follow the same rules as online practice, and each word appears only once. The answer key is on its own page — print from the browser, or press New version to draw again.",
+  "help.srs": "Every answer updates the SM-2 review interval, saved locally; Due today only practises cards due in the current mode.",
+};
+
+const MESSAGES: Record<Locale, Record<MessageKey, string>> = { zh, en };
+
+export function isMessageKey(key: string): key is MessageKey {
+  return key in zh;
+}
+// 缺少的变量原样保留 {name}，便于发现漏传
+export function translate(locale: Locale, key: MessageKey, vars: Vars = {}) {
+  const text = MESSAGES[locale]?.[key] ?? zh[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name: string) => (name in vars ? String(vars[name]) : m));
+}
+export function translator(locale: Locale): Translate {
+  return (key, vars) => translate(locale, key, vars);
+}
+// 首次打开时按浏览器语言选择：中文浏览器用中文，其他用英文
+export function detectLocale(): Locale {
+  try {
+    return /^zh\b/i.test(navigator.language) ? "zh" : "en";
+  } catch {
+    return "zh";
+  }
+}
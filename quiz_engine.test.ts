@@ -0,0 +1,292 @@
+// 练习引擎的单元测试：npm test（node --test，用 tsx 直接跑 TypeScript）
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createSession, submitAnswer, revealAnswer, nextQuestion, serializeSession, restoreSession, applyMistake, applyReview,
+  gradeSpelling, glossDistractors, termDistractors, ipaDistractors, clozeOf, createExam, createWorksheet, cardSenses, senseLabel,
+  reviewKey, recordMiss, recordHit, shortcutAnswer, WORKSHEET_KINDS, senseKey, mistakeItem, expandSenses,
+} from "./quiz_engine";
+import type { Card, QuizItem, MistakeBook, UsageItem } from "./quiz_engine";
+
+const CARDS: Card[] = [
+  { term: "queue", cn: "队列；（v.）排队", ipa: "/kjuː/", example: "We had to queue for an hour." },
+  { term: "crush", cn: "压碎", ipa: "/krʌʃ/", example: "Crush the garlic first." },
+  { term: "drill", cn: "钻孔", ipa: "/drɪl/" },
+  { term: "till", cn: "收银台", ipa: "/tɪl/" },
+  { term: "crop", cn: "庄稼", ipa: "/krɒp/" },
+  { term: "soak", cn: "浸泡", ipa: "/səʊk/", example: "The rain soaked my shoes." },
+];
+const USAGE: UsageItem = { q: "She ___ to the gym every day.", options: ["goes", "go", "going", "gone"], answer: 0 };
+const items = (cards: Card[], deck = "d"): QuizItem[] => cards.map((card) => ({ key: reviewKey(deck, card.term), card }));
+// 选择题里正确选项的下标
+const correctChoice = (s: ReturnType<typeof createSession>) => s.question!.options.findIndex((o) => o.correct);
+
+describe("session", () => {
+  test("createSession 只保留能出题的卡片，并出第一题", () => {
+    const s = createSession(items([...CARDS, { term: "bare" }]), "eng2cn");
+    assert.equal(s.items.length, CARDS.length);
+    assert.equal(s.position, 0);
+    assert.equal(s.question?.key, s.items[0].key);
+    assert.equal(s.question?.options.length, 4);
+    assert.equal(s.question?.options.filter((o) => o.correct).length, 1);
+  });
+
+  test("submitAnswer 选择题判分并计数，同一题不会出第二个结果", () => {
+    const s = createSession(items(CARDS), "eng2cn", {}, 0);
+    const right = submitAnswer(s, { choice: correctChoice(s) }, 1500);
+    assert.equal(right.outcome?.correct, true);
+    assert.equal(right.outcome?.ms, 1500);
+    assert.equal(right.session.attempted, 1);
+    assert.equal(right.session.correct, 1);
+    assert.equal(submitAnswer(right.session, { choice: 0 }).outcome, null);
+    assert.equal(revealAnswer(right.session).outcome, null);
+  });
+
+  test("答案形式与模式不符时不判分", () => {
+    const s = createSession(items(CARDS), "eng2cn");
+    assert.equal(submitAnswer(s, { text: "queue" }).outcome, null);
+    assert.equal(submitAnswer(createSession(items(CARDS), "cn2eng"), { choice: 0 }).outcome, null);
+  });
+
+  test("submitAnswer 拼写题用宽松判分", () => {
+    const s = createSession([{ key: "d::colour", card: { term: "colo(u)r", cn: "颜色" } }], "cn2eng");
+    const step = submitAnswer(s, { text: " Color " });
+    assert.equal(step.outcome?.correct, true);
+    assert.equal(step.outcome?.grade?.verdict, "correct");
+  });
+
+  test("revealAnswer 记一次遗忘但不计入尝试；揭晓后再揭晓不会重复记错题", () => {
+    const s = createSession(items(CARDS), "eng2cn");
+    const revealed = revealAnswer(s);
+    assert.equal(revealed.outcome?.correct, false);
+    assert.equal(revealed.outcome?.revealed, true);
+    assert.equal(revealed.session.attempted, 0);
+    let book: MistakeBook = applyMistake({}, revealed.outcome!, 3);
+    // 揭晓后再点“显示答案”或作答都不再产生结果，错题本只有一条、只记一次
+    for (const step of [revealAnswer(revealed.session), submitAnswer(revealed.session, { choice: 0 })]) {
+      if (step.outcome) book = applyMistake(book, step.outcome, 3);
+    }
+    assert.equal(Object.keys(book).length, 1);
+    assert.equal(Object.values(book)[0].misses, 1);
+  });
+
+  test("nextQuestion 循环出题；loop 为 false 时做完即结束", () => {
+    let s = createSession(items(CARDS.slice(0, 2)), "eng2cn");
+    s = nextQuestion(nextQuestion(s));
+    assert.equal(s.position, 0);
+    assert.equal(s.finished, false);
+    let once = createSession(items(CARDS.slice(0, 2)), "eng2cn", { loop: false });
+    once = nextQuestion(nextQuestion(once));
+    assert.equal(once.finished, true);
+    assert.equal(once.question, null);
+  });
+
+  test("serializeSession / restoreSession 保留题目、选项和分数", () => {
+    const s = submitAnswer(createSession(items(CARDS), "eng2cn"), { choice: 0 }).session;
+    const restored = restoreSession(serializeSession(s), 99);
+    assert.deepEqual(restored.question, JSON.parse(JSON.stringify(s.question)));
+    assert.equal(restored.attempted, 1);
+    assert.equal(restored.shownAt, 99);
+    assert.equal(restored.lang, "en");
+    assert.throws(() => restoreSession(JSON.stringify({ version: -1 })));
+  });
+
+  test("旧版进度没有 lang 时按英语恢复", () => {
+    const data = JSON.parse(serializeSession(createSession(items(CARDS), "cn2eng", { lang: "es" })));
+    assert.equal(data.lang, "es");
+    delete data.lang;
+    assert.equal(restoreSession(JSON.stringify(data)).lang, "en");
+  });
+
+  test("shortcutAnswer 选择题按数字键，拼写题按回车", () => {
+    const choice = createSession(items(CARDS), "eng2cn");
+    assert.deepEqual(shortcutAnswer(choice, "2"), { choice: 1 });
+    assert.equal(shortcutAnswer(choice, "9"), null);
+    assert.deepEqual(shortcutAnswer(createSession(items(CARDS), "cn2eng"), "Enter", "queue"), { text: "queue" });
+  });
+
+  test("跟读：没通过时记下尝试，用完机会才判错", () => {
+    let s = createSession(items(CARDS.slice(0, 1)), "speaking", { maxSpeakAttempts: 2 });
+    const first = submitAnswer(s, { heard: ["hello"] });
+    assert.equal(first.outcome, null);
+    assert.deepEqual(first.session.speakTries, ["hello"]);
+    const second = submitAnswer(first.session, { heard: ["goodbye"] });
+    assert.equal(second.outcome?.correct, false);
+    s = createSession(items(CARDS.slice(0, 1)), "speaking");
+    assert.equal(submitAnswer(s, { heard: ["I queue here"] }).outcome?.correct, true);
+  });
+  test("跟读：只差一个字母的别的词不算通过", () => {
+    const speak = (term: string, heard: string[]) => submitAnswer(createSession(items([{ term, cn: "x" }]), "speaking", { maxSpeakAttempts: 1 }), { heard }).outcome?.correct;
+    assert.equal(speak("cat", ["hat"]), false);
+    assert.equal(speak("ship", ["chip", "shop"]), false);
+    assert.equal(speak("ship", ["chip", "Ship"]), true);
+    assert.equal(speak("colour", ["color"]), true);
+  });
+
+  test("按义项出题时每个义项各出一题", () => {
+    const s = createSession(items(CARDS.slice(0, 1)), "eng2cn", { bySense: true, pool: CARDS });
+    assert.deepEqual(s.items.map((it) => it.sense), [0, 1]);
+    assert.equal(cardSenses(CARDS[0]).map(senseLabel).join(" | "), "队列 | v. 排队");
+  });
+});
+
+describe("gradeSpelling", () => {
+  test("忽略大小写、空格、弯引号和英美拼写差异", () => {
+    assert.equal(gradeSpelling("Finalise", "finalize").verdict, "correct");
+    assert.equal(gradeSpelling("cable   car", "cable car").verdict, "correct");
+    assert.equal(gradeSpelling("don’t", "don't").verdict, "correct");
+  });
+  test("接受斜杠和括号里的备选写法", () => {
+    assert.equal(gradeSpelling("soak up", "soak / soak up").verdict, "correct");
+    assert.equal(gradeSpelling("color", "colo(u)r").verdict, "correct");
+  });
+  test("区分拼写接近、写错和写成另一个词", () => {
+    const close = gradeSpelling("receve", "receive");
+    assert.equal(close.verdict, "close");
+    assert.ok(close.ops.some((o) => o.op !== "same"));
+    assert.equal(gradeSpelling("banana", "receive").verdict, "wrong");
+    const other = gradeSpelling("till", "drill", ["till"]);
+    assert.equal(other.verdict, "wrong");
+    assert.equal(other.otherTerm, true);
+  });
+  test("英美拼写归一只对英语生效", () => {
+    assert.equal(gradeSpelling("colour", "color", [], "en").verdict, "correct");
+    assert.notEqual(gradeSpelling("colour", "color", [], "es").verdict, "correct");
+  });
+  test("英美归一不把常见拼错当成另一种拼法", () => {
+    assert.equal(gradeSpelling("travelled", "traveled").verdict, "correct");
+    assert.equal(gradeSpelling("honour", "honor").verdict, "correct");
+    for (const [typed, term] of [["otherwize", "otherwise"], ["compeling", "compelling"], ["propeling", "propelling"], ["devor", "devour"]]) {
+      assert.equal(gradeSpelling(typed, term).verdict, "close", typed);
+    }
+  });
+});
+
+describe("distractors", () => {
+  test("glossDistractors 标签不重复，也不含正确答案", () => {
+    const picked = glossDistractors(CARDS[1], CARDS);
+    assert.equal(picked.length, 3);
+    assert.equal(new Set(picked).size, 3);
+    assert.ok(!picked.includes(CARDS[1].cn!));
+  });
+  test("词库不够时从 fallback 补齐", () => {
+    assert.equal(glossDistractors(CARDS[0], CARDS.slice(0, 2)).length, 1);
+    assert.equal(glossDistractors(CARDS[0], CARDS.slice(0, 2), CARDS).length, 3);
+    assert.equal(termDistractors(CARDS[0], CARDS.slice(0, 2), CARDS).length, 3);
+  });
+  test("termDistractors 不选与答案共享义项的词", () => {
+    const pool: Card[] = [...CARDS, { term: "line up", cn: "排队" }];
+    for (let i = 0; i < 10; i++) assert.ok(!termDistractors(CARDS[0], pool).includes("line up"));
+  });
+  test("ipaDistractors 给出近似读音，不含正确音标", () => {
+    const picked = ipaDistractors("/ˈkrɒp/", CARDS);
+    assert.equal(picked.length, 3);
+    assert.ok(!picked.includes("/ˈkrɒp/"));
+    assert.ok(picked.every((x) => /^\/.+\/$/.test(x)));
+  });
+  test("小词库的音标题用 fallback 补足四个选项", () => {
+    const small: Card[] = [{ term: "queue", ipa: "/kjuː/" }, { term: "yacht", ipa: "/jɒt/" }];
+    for (const mode of ["ipa", "audio2ipa"] as const) {
+      const s = createSession(items(small), mode, { loop: false, fallback: CARDS }, 0);
+      assert.equal(s.question!.options.length, 4);
+    }
+  });
+});
+
+describe("clozeOf", () => {
+  test("挖掉目标词的屈折形式", () => {
+    assert.deepEqual(clozeOf(CARDS[5]), { before: "The rain ", answer: "soaked", after: " my shoes." });
+    assert.equal(clozeOf({ term: "finalize", example: "We finalised the plan." })?.answer, "finalised");
+  });
+  test("找不到目标词时返回 null", () => {
+    assert.equal(clozeOf(CARDS[2]), null);
+    assert.equal(clozeOf({ term: "drill", example: "No match here." }), null);
+  });
+  test("中文、日语按子串查找", () => {
+    assert.equal(clozeOf({ term: "排队", cn: "queue", example: "我们在门口排队。" }, "zh")?.answer, "排队");
+  });
+  test("目标词出现不止一次时不出题", () => {
+    assert.equal(clozeOf({ term: "drill", example: "A drill is a drill." }), null);
+    assert.equal(clozeOf({ term: "soak", example: "Soak it, then let it soaked overnight." }), null);
+    assert.equal(clozeOf({ term: "排队", example: "排队的人还在排队。" }, "zh"), null);
+    assert.equal(clozeOf({ term: "soak up", example: "Sponges soak up water." })?.answer, "soak up");
+  });
+});
+
+describe("createExam", () => {
+  const pool = [...items(CARDS), { key: reviewKey("usage", USAGE.q), usage: USAGE }];
+  test("按设置的题数混合题型，同一个词只考一次，做完即结束", () => {
+    const s = createExam(pool, { count: 5, minutes: 0, modes: ["eng2cn", "cn2eng", "usage"] });
+    assert.equal(s.items.length, 5);
+    assert.equal(new Set(s.items.map((it) => it.key)).size, 5);
+    assert.ok(s.items.every((it) => it.mode && ["eng2cn", "cn2eng", "usage"].includes(it.mode)));
+    assert.equal(s.loop, false);
+  });
+  test("只抽有对应字段的题目", () => {
+    const s = createExam(items([{ term: "bare" }, ...CARDS.slice(0, 2)]), { count: 10, minutes: 0, modes: ["ipa"] });
+    assert.equal(s.items.length, 2);
+  });
+});
+
+describe("createWorksheet", () => {
+  test("同一个词只出现在一种题型里，连线题答案字母对应释义", () => {
+    const pool = [...items(CARDS), { key: reviewKey("usage", USAGE.q), usage: USAGE }];
+    const sections = createWorksheet(pool, { kinds: WORKSHEET_KINDS, count: 2, shuffle: true });
+    const keys = sections.flatMap((s) => s.entries.map((e) => e.question.key));
+    assert.equal(new Set(keys).size, keys.length);
+    const matching = sections.find((s) => s.kind === "matching")!;
+    for (const e of matching.entries) assert.equal(matching.choices?.find((c) => c.key === e.letter)?.label, e.answer);
+    const usage = sections.find((s) => s.kind === "usage")!;
+    assert.equal(usage.entries[0].answer, "goes");
+  });
+  test("用法题的选项顺序打乱，正确标记跟着答案走", () => {
+    const positions = new Set<number>();
+    for (let i = 0; i < 40; i++) {
+      const s = createSession([{ key: reviewKey("usage", USAGE.q), usage: USAGE }], "usage");
+      assert.equal(s.question!.options.find((o) => o.correct)?.label, "goes");
+      positions.add(correctChoice(s));
+    }
+    assert.ok(positions.size > 1);
+  });
+  test("不打乱时按词库顺序取题", () => {
+    const [spelling] = createWorksheet(items(CARDS), { kinds: ["spelling"], count: 3, shuffle: false });
+    assert.deepEqual(spelling.entries.map((e) => e.answer), ["queue", "crush", "drill"]);
+  });
+});
+
+describe("mistake book and reviews", () => {
+  test("连续答对 clearAfter 次后移出错题本", () => {
+    let book = recordMiss({}, "d::queue", { card: CARDS[0] }, 1);
+    book = recordHit(book, "d::queue", 2);
+    assert.equal(book["d::queue"].streak, 1);
+    book = recordHit(book, "d::queue", 2);
+    assert.equal(book["d::queue"], undefined);
+  });
+  test("applyReview 按模式分别排期", () => {
+    const s = createSession(items(CARDS), "eng2cn", {}, 0);
+    const { outcome } = submitAnswer(s, { choice: correctChoice(s) }, 0);
+    const book = applyReview({}, outcome!);
+    assert.equal(book[outcome!.key].eng2cn?.reps, 1);
+    assert.equal(book[outcome!.key].cn2eng, undefined);
+  });
+  test("按义项出题时错题和排期按义项分开记", () => {
+    let s = createSession(items(CARDS.slice(0, 1)), "eng2cn", { bySense: true, pool: CARDS }, 0);
+    let book: MistakeBook = {};
+    let reviews = {};
+    const miss = submitAnswer(s, { choice: s.question!.options.findIndex((o) => !o.correct) }, 0);
+    book = applyMistake(book, miss.outcome!, 1);
+    reviews = applyReview(reviews, miss.outcome!);
+    s = nextQuestion(miss.session, 0);
+    const hit = submitAnswer(s, { choice: correctChoice(s) }, 0);
+    book = applyMistake(book, hit.outcome!, 1);
+    reviews = applyReview(reviews, hit.outcome!);
+    assert.deepEqual(Object.keys(book), ["d::queue#0"]);
+    assert.deepEqual(Object.keys(reviews).sort(), ["d::queue#0", "d::queue#1"]);
+    assert.deepEqual(mistakeItem(book["d::queue#0"]), { key: "d::queue", card: CARDS[0], usage: undefined, sense: 0 });
+    assert.equal(senseKey(mistakeItem(book["d::queue#0"])), "d::queue#0");
+  });
+  test("expandSenses 拆开多义词，已指定义项的不再拆", () => {
+    assert.deepEqual(expandSenses(items(CARDS.slice(0, 2)), "eng2cn").map((it) => it.sense), [0, 1, undefined]);
+    assert.deepEqual(expandSenses([{ ...items(CARDS.slice(0, 1))[0], sense: 1 }], "eng2cn").map((it) => it.sense), [1]);
+  });
+});
@@ -0,0 +1,757 @@
+// 练习引擎：出题、判分、错题与复习排期的纯逻辑，不依赖 React 和浏览器 API，
+// 网页组件、命令行练习工具和小程序共用同一套规则。
+
+// ===== Types =====
+// cn：释义，用词库的释义语言书写（字段名沿用最初只有中文释义时的叫法，导入导出和本地数据都用这个名字）
+// senses：结构化义项；没有时按 cn 中的“；”“、”拆分（见 cardSenses）
+export type Card = { term: string; cn?: string; ipa?: string; pos?: string; example?: string; tags?: string[]; senses?: Sense[] };
+export type Sense = { pos?: string; gloss: string };
+export type Mode = "eng2cn" | "cn2eng" | "cn2engChoice" | "listening" | "usage" | "ipa" | "ipa2eng" | "audio2ipa" | "cloze" | "clozeChoice" | "dictation" | "speaking";
+export type Option = { key: string; label: string; correct: boolean };
+export type UsageItem = { q: string; options: string[]; answer: number; explain?: string };
+// SM-2 复习状态：interval 为天数，due 为下次到期的时间戳（ms）
+export type ReviewState = { interval: number; ease: number; due: number; lapses: number; reps: number; last?: number };
+// 以 deck + term 为键，每种模式各自排期
+export type ReviewBook = Record<string, Partial<Record<Mode, ReviewState>>>;
+// 错题本条目：保存原始卡片或用法题，便于重新出题
+// sense：按义项出题时答错的义项下标
+export type MistakeEntry = { key: string; card?: Card; usage?: UsageItem; sense?: number; misses: number; lastMissed: number; streak: number };
+export type MistakeBook = Record<string, MistakeEntry>;
+// 字母级差异：add=漏写的字母，del=多写的字母，sub=写错的字母
+export type DiffOp = { op: "same" | "add" | "del" | "sub"; got?: string; want?: string };
+// synonym：写的是另一个同样有这个义项的词，也算对
+export type SpellingGrade = { verdict: "correct" | "close" | "wrong"; expected: string; got: string; distance: number; otherTerm: boolean; ops: DiffOp[]; synonym?: boolean };
+
+// 与网页上的模式按钮顺序一致
+export const MODES: Mode[] = ["eng2cn", "cn2engChoice", "cn2eng", "listening", "ipa", "ipa2eng", "audio2ipa", "clozeChoice", "cloze", "usage", "dictation", "speaking"];
+
+// ===== Utils =====
+export function shuffle<T>(arr: T[]): T[] {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// ===== Scheduling (SM-2) =====
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export function startOfDay(ts: number) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+export function reviewKey(deck: string, term: string) {
+  return `${deck}::${term.trim().toLowerCase()}`;
+}
+// 按义项出题时，复习排期和错题本按义项分开记
+export function senseKey(item: { key: string; sense?: number }) {
+  return item.sense != null ? `${item.key}#${item.sense}` : item.key;
+}
+// quality: 0–5（SM-2 评分）；<3 视为遗忘，重新从 1 天开始
+export function nextReview(prev: ReviewState | undefined, quality: number, now = Date.now()): ReviewState {
+  const s = prev ?? { interval: 0, ease: 2.5, due: now, lapses: 0, reps: 0 };
+  let { interval, reps, lapses } = s;
+  if (quality < 3) {
+    reps = 0; interval = 1; lapses += 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * s.ease);
+  }
+  const ease = Math.max(1.3, s.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  return { interval, ease, reps, lapses, due: startOfDay(now) + interval * DAY_MS, last: now };
+}
+// 从未复习过的卡片视为到期
+export function isDue(s: ReviewState | undefined, now = Date.now()) {
+  return !s || s.due <= now;
+}
+
+// ===== Mistake book =====
+export function recordMiss(book: MistakeBook, key: string, item: { card?: Card; usage?: UsageItem; sense?: number }, now = Date.now()): MistakeBook {
+  const prev = book[key];
+  return { ...book, [key]: { key, ...item, misses: (prev?.misses ?? 0) + 1, lastMissed: now, streak: 0 } };
+}
+// 连续答对 clearAfter 次后移出错题本
+export function recordHit(book: MistakeBook, key: string, clearAfter: number): MistakeBook {
+  const prev = book[key];
+  if (!prev) return book;
+  if (prev.streak + 1 < clearAfter) return { ...book, [key]: { ...prev, streak: prev.streak + 1 } };
+  const { [key]: _removed, ...rest } = book;
+  return rest;
+}
+export function mistakeMatches(m: MistakeEntry, query: string) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  const text = m.usage ? [m.usage.q, ...m.usage.options, m.usage.explain] : [m.card?.term, m.card?.cn, m.card?.ipa];
+  return text.some((t) => !!t && t.toLowerCase().includes(q));
+}
+
+// ===== Spelling grader =====
+// 常见的英美拼写差异中无法用规则覆盖的词，统一映射到美式
+const SPELLING_PAIRS: Record<string, string> = {
+  pyjamas: "pajamas", grey: "gray", aluminium: "aluminum", programme: "program", defence: "defense",
+  offence: "offense", licence: "license", aeroplane: "airplane", manoeuvre: "maneuver", ageing: "aging",
+  judgement: "judgment", cheque: "check", plough: "plow", doughnut: "donut", mould: "mold", sceptical: "skeptical",
+};
+// 以 -ise 结尾但美式也写 -ise 的词，不参与 ise→ize 归一
+const ISE_STEMS = [
+  "advertis", "advis", "chastis", "circumcis", "compris", "compromis", "concis", "demis", "despis", "devis",
+  "enterpris", "excis", "exercis", "expertis", "franchis", "improvis", "incis", "merchandis", "paradis", "precis",
+  "premis", "promis", "repris", "revis", "supervis", "surmis", "surpris", "televis", "treatis",
+];
+// 英式双写 l、美式单写 l 的词干（travelled → traveled）；compel、propel 等美式也双写，不在此列
+const LL_STEMS = [
+  "barrel", "bevel", "cancel", "channel", "chisel", "counsel", "dishevel", "duel", "enamel", "fuel", "funnel", "grovel",
+  "jewel", "kennel", "label", "level", "libel", "marvel", "model", "panel", "pummel", "quarrel", "ravel", "revel",
+  "shovel", "snorkel", "swivel", "tassel", "towel", "travel", "tunnel", "yodel",
+];
+// 美式也写 -our 的词，不参与 our→or 归一
+const OUR_WORDS = ["devour", "contour", "detour", "velour", "amour", "troubadour", "tambour"];
+export function normalizeAnswer(s: string) {
+  return s.normalize("NFKC").toLowerCase()
+    .replace(/[‘’‛`´]/g, "'")
+    .replace(/[‐‑‒–—]/g, "-")
+    .replace(/\s*-\s*/g, "-")
+    .replace(/[.,!?;:"“”。，！？；：]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+// 把英式拼写归一成美式，只用于比较
+function canonicalSpelling(s: string) {
+  return s.split(" ").map((w) => {
+    if (SPELLING_PAIRS[w]) return SPELLING_PAIRS[w];
+    // -wise（otherwise、likewise）不是 -ise 动词
+    if (w.length >= 6 && !w.endsWith("wise") && !ISE_STEMS.some((stem) => w.startsWith(stem))) {
+      w = w.replace(/([^aeiou])(i|y)s(e|es|ed|ing|ation|ations|er|ers)$/, "$1$2z$3");
+    }
+    if (!OUR_WORDS.some((x) => w.includes(x))) w = w.replace(/^(.{3,})our(s|ed|ing|ite|ites|able)?$/, "$1or$2");
+    return w
+      .replace(/^(.{2,}[bt])re(s)?$/, "$1er$2")
+      .replace(/^(.+el)l(ed|ing|er|ers)$/, (m, stem, end) => (LL_STEMS.some((x) => stem.endsWith(x)) ? stem + end : m))
+      .replace(/^(.{4,})ogue(s)?$/, "$1og$2");
+  }).join(" ");
+}
+
+// ===== Languages =====
+// 语言代码只看主标签：en-GB、en-US 都按 en 处理；未指定时按英语
+export function baseLang(lang = "en") {
+  return lang.toLowerCase().split(/[-_]/)[0] || "en";
+}
+// 不用空格分词的语言：例句填空按子串查找
+const UNSPACED_LANGS = ["zh", "ja", "th", "lo", "km", "my"];
+// 英美拼写归一只对英语有意义，其他语言按原文比较
+function canonicalFor(lang: string) {
+  return baseLang(lang) === "en" ? canonicalSpelling : (s: string) => s;
+}
+// term 中的可接受写法：斜杠分隔的备选（soak / soak up），括号内可省略（colo(u)r）
+function answerVariants(term: string) {
+  const out = new Set<string>();
+  for (const part of term.split(/\s*\/\s*/)) {
+    let forms = [part];
+    while (forms.length < 16 && forms.some((f) => /\([^()]*\)/.test(f))) {
+      forms = forms.flatMap((f) => {
+        const m = f.match(/\(([^()]*)\)/);
+        return m ? [f.replace(m[0], ""), f.replace(m[0], m[1])] : [f];
+      });
+    }
+    forms.forEach((f) => { const n = normalizeAnswer(f); if (n) out.add(n); });
+  }
+  return out.size ? [...out] : [normalizeAnswer(term)];
+}
+// 带相邻换位的编辑距离（OSA），并回溯出字母级差异
+function editScript(got: string, want: string): { distance: number; ops: DiffOp[] } {
+  const a = [...got];
+  const b = [...want];
+  const d = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  const ops: DiffOp[] = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && a[i - 1] === b[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+      ops.push({ op: "same", want: b[j - 1] }); i--; j--;
+    } else if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && d[i][j] === d[i - 2][j - 2] + 1) {
+      ops.push({ op: "sub", got: a[i - 1], want: b[j - 1] }, { op: "sub", got: a[i - 2], want: b[j - 2] }); i -= 2; j -= 2;
+    } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + 1) {
+      ops.push({ op: "sub", got: a[i - 1], want: b[j - 1] }); i--; j--;
+    } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+      ops.push({ op: "del", got: a[i - 1] }); i--;
+    } else {
+      ops.push({ op: "add", want: b[j - 1] }); j--;
+    }
+  }
+  return { distance: d[a.length][b.length], ops: ops.reverse() };
+}
+// known：本词库中的其他词，用来区分“拼错了”和“写成了另一个词”；lang：词库的学习语言
+export function gradeSpelling(input: string, term: string, known: string[] = [], lang = "en"): SpellingGrade {
+  const canonical = canonicalFor(lang);
+  const got = normalizeAnswer(input);
+  const canon = canonical(got);
+  let expected = "";
+  let distance = Infinity;
+  for (const v of answerVariants(term)) {
+    const dist = editScript(canon, canonical(v)).distance;
+    if (dist < distance) { expected = v; distance = dist; }
+  }
+  const { ops } = editScript(got, expected);
+  if (distance === 0) return { verdict: "correct", expected, got, distance, otherTerm: false, ops };
+  const otherTerm = !!got && known.some((k) => answerVariants(k).some((v) => canonical(v) === canon));
+  const limit = Math.max(1, Math.min(3, Math.floor(expected.length / 5)));
+  const verdict = got && !otherTerm && distance <= limit ? "close" : "wrong";
+  return { verdict, expected, got, distance, otherTerm, ops };
+}
+
+// ===== Speech matching =====
+export const MAX_SPEAK_ATTEMPTS = 3;
+// 识别结果规范化后须与某个答案写法完全一致（拼写上接近不算，cat≠hat）；也接受整句中包含目标词
+function speechMatches(heard: string[], term: string, lang = "en") {
+  const canonical = canonicalFor(lang);
+  const variants = answerVariants(term).map(canonical);
+  // 中文、日语的识别结果不带空格，直接找子串
+  const pad = UNSPACED_LANGS.includes(baseLang(lang)) ? "" : " ";
+  return heard.some((alt) => {
+    const said = `${pad}${canonical(normalizeAnswer(alt))}${pad}`;
+    return gradeSpelling(alt, term, [], lang).verdict === "correct" || variants.some((v) => said.includes(`${pad}${v}${pad}`));
+  });
+}
+
+// ===== Senses =====
+// 词性标记：（v.）排队、(n.) 队列、adj. 冲动的；括号里的中文注释（美俚）不算
+const POS_MARK = /^(?:[（(]\s*([a-z]+)\.?\s*[）)]|([a-z]+)\.)\s*/i;
+function parseSense(text: string, pos?: string): Sense | null {
+  const t = text.trim();
+  const m = t.match(POS_MARK);
+  const gloss = m ? t.slice(m[0].length).trim() : t;
+  if (!gloss) return null;
+  const marked = m ? (m[1] || m[2]).toLowerCase() : pos;
+  return marked ? { pos: marked, gloss } : { gloss };
+}
+// 导入的结构化义项：“n. 队列 | v. 排队”，也可以每行一个
+export function parseSenses(text: string): Sense[] {
+  return text.split(/\s*[|\n]\s*/).map((t) => parseSense(t)).filter((x): x is Sense => !!x);
+}
+export function senseLabel(s: Sense) {
+  return s.pos ? `${s.pos}. ${s.gloss}` : s.gloss;
+}
+export function formatSenses(senses: Sense[]) {
+  return senses.map(senseLabel).join(" | ");
+}
+// 卡片的义项：优先用 senses，否则拆分 cn；同一释义只保留一次（“排队；（v.）排队”合并成 v. 排队）
+export function cardSenses(card: Card): Sense[] {
+  if (card.senses?.length) return card.senses;
+  const pos = card.pos?.toLowerCase().replace(/\.$/, "");
+  const out: Sense[] = [];
+  for (const part of (card.cn || "").split(/[；;、|]/)) {
+    const sense = parseSense(part, pos);
+    if (!sense) continue;
+    const i = out.findIndex((x) => x.gloss === sense.gloss);
+    if (i < 0) out.push(sense);
+    else if (!out[i].pos && sense.pos) out[i] = sense;
+  }
+  return out;
+}
+
+// ===== Cloze =====
+export type Cloze = { before: string; answer: string; after: string };
+// 单词可能出现的屈折形式：soak → soaks/soaked/soaking，drop → dropped，carry → carried
+function inflections(word: string) {
+  const out = [word, `${word}s`, `${word}es`, `${word}d`, `${word}ed`, `${word}ing`, `${word}er`, `${word}est`];
+  if (word.endsWith("e")) out.push(`${word.slice(0, -1)}ing`);
+  if (/[^aeiou]y$/.test(word)) out.push(`${word.slice(0, -1)}ies`, `${word.slice(0, -1)}ied`, `${word.slice(0, -1)}ier`);
+  if (/[^aeiou][aeiou][bdgklmnprt]$/.test(word)) out.push(`${word}${word.slice(-1)}ed`, `${word}${word.slice(-1)}ing`);
+  return new Set(out.map(canonicalSpelling));
+}
+// 在例句里找到目标词（含屈折形式和英美拼写差异，如 finalize → finalised）并挖空；找不到时返回 null
+// 屈折形式只对英语生效；中文、日语等不分词的语言按子串查找
+// 目标词出现不止一次时也返回 null：只挖一处的话，另一处会直接给出答案
+export function clozeOf(card: Card, lang = "en"): Cloze | null {
+  const text = card.example || "";
+  // 各写法的所有出现位置，按先试的写法排在前面
+  const spans: [number, number][] = [];
+  if (UNSPACED_LANGS.includes(baseLang(lang))) {
+    const lower = text.toLowerCase();
+    for (const v of answerVariants(card.term).sort((a, b) => b.length - a.length)) {
+      for (let start = lower.indexOf(v); v && start >= 0; start = lower.indexOf(v, start + 1)) spans.push([start, start + v.length]);
+    }
+  } else {
+    const english = baseLang(lang) === "en";
+    const canonical = canonicalFor(lang);
+    const tokens = [...text.matchAll(/[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu)].map((m) => ({
+      word: canonical(normalizeAnswer(m[0])), start: m.index ?? 0, end: (m.index ?? 0) + m[0].length,
+    }));
+    // 多个写法时先试词数多的（soak up 优先于 soak）
+    const wordForms = (word: string) => (english ? inflections(word) : new Set([word]));
+    const variants = answerVariants(card.term).map((v) => v.split(" ").map(wordForms)).sort((a, b) => b.length - a.length);
+    for (const forms of variants) {
+      for (let i = 0; i + forms.length <= tokens.length; i++) {
+        if (forms.every((f, k) => f.has(tokens[i + k].word))) spans.push([tokens[i].start, tokens[i + forms.length - 1].end]);
+      }
+    }
+  }
+  const [first] = spans;
+  // 与第一处重叠的只是同一处的较短写法（soak up 里的 soak）
+  if (!first || spans.some(([start, end]) => end <= first[0] || start >= first[1])) return null;
+  const [start, end] = first;
+  return { before: text.slice(0, start), answer: text.slice(start, end), after: text.slice(end) };
+}
+
+// ===== Distractors =====
+// 把释义拆成若干义项，去掉括号注释，用于判断两个释义是否“撞义”
+function glossSenses(cn: string) {
+  return cn.split(/[；;、，,/]/).map((x) => x.replace(/[（(][^）)]*[）)]/g, "").trim()).filter(Boolean);
+}
+// 词性：优先用导入的 pos，其次看释义开头的（n.）/（v.）标记、“…的”形容词和多词短语
+function partOfSpeech(c: Card) {
+  if (c.pos) return c.pos.toLowerCase().replace(/\.$/, "");
+  const marked = c.cn?.match(/^[（(]\s*(n|v|adj|adv|prep|conj)\./i);
+  if (marked) return marked[1].toLowerCase();
+  if (c.cn && glossSenses(c.cn)[0]?.endsWith("的")) return "adj";
+  if (/\s/.test(c.term.trim())) return "phrase";
+  return undefined;
+}
+// 释义干扰项：同词性、长度相近的优先；标签不重复，也不与正确答案的任何义项撞义
+// 按义项出题（传入 sense）时，干扰项也是其他词的单个义项
+// 词库里可用的释义不足时，从 fallback（通常是内置词库）补齐，保证总有四个选项
+export function glossDistractors(card: Card, pool: Card[], fallback: Card[] = [], n = 3, sense?: Sense): string[] {
+  const answer = sense ? senseLabel(sense) : card.cn || "";
+  const answerSenses = new Set(cardSenses(card).flatMap((x) => glossSenses(x.gloss)));
+  const pos = sense?.pos ?? partOfSpeech(card);
+  const candidates = (source: Card[]) => source
+    .filter((c) => c.cn && c.term !== card.term)
+    .flatMap((c) => (sense
+      ? cardSenses(c).map((x) => ({ term: c.term, label: senseLabel(x), glosses: [x.gloss], pos: x.pos ?? partOfSpeech(c) }))
+      : [{ term: c.term, label: (c.cn || "").trim(), glosses: cardSenses(c).map((x) => x.gloss), pos: partOfSpeech(c) }]));
+  const score = (x: { label: string; pos?: string }) =>
+    (pos && x.pos === pos ? 2 : 0) +
+    1 - Math.min(1, Math.abs(x.label.length - answer.length) / Math.max(answer.length, 4)) +
+    Math.random() * 0.8;
+  const picked: string[] = [];
+  const seen = new Set([answer.trim()]);
+  // 同一个词的两个义项不同时出现，否则一眼就能排除
+  const usedTerms = new Set<string>();
+  for (const source of [pool, fallback]) {
+    const ranked = candidates(source)
+      .map((x) => ({ x, s: score(x) }))
+      .sort((a, b) => b.s - a.s);
+    for (const { x } of ranked) {
+      if (picked.length >= n) return picked;
+      if (seen.has(x.label) || usedTerms.has(x.term) || x.glosses.some((g) => glossSenses(g).some((y) => answerSenses.has(y)))) continue;
+      seen.add(x.label);
+      usedTerms.add(x.term);
+      picked.push(x.label);
+    }
+  }
+  return picked;
+}
+
+// 英文干扰项（中→英选择、音标→英文）：同词性、长度相近的优先；
+// 不选与正确答案共享义项的词（近义词会让中文题面有两个答案），也不选同音词
+export function termDistractors(card: Card, pool: Card[], fallback: Card[] = [], n = 3): string[] {
+  const answerSenses = new Set(cardSenses(card).flatMap((x) => glossSenses(x.gloss)));
+  const pos = partOfSpeech(card);
+  const score = (c: Card) =>
+    (pos && partOfSpeech(c) === pos ? 2 : 0) +
+    1 - Math.min(1, Math.abs(c.term.length - card.term.length) / Math.max(card.term.length, 4)) +
+    Math.random() * 0.8;
+  const picked: string[] = [];
+  const seen = new Set([card.term.trim().toLowerCase()]);
+  for (const source of [pool, fallback]) {
+    const ranked = source.map((c) => ({ c, s: score(c) })).sort((a, b) => b.s - a.s);
+    for (const { c } of ranked) {
+      if (picked.length >= n) return picked;
+      const label = c.term.trim();
+      if (seen.has(label.toLowerCase()) || (card.ipa && c.ipa === card.ipa)) continue;
+      if (cardSenses(c).some((x) => glossSenses(x.gloss).some((g) => answerSenses.has(g)))) continue;
+      seen.add(label.toLowerCase());
+      picked.push(label);
+    }
+  }
+  return picked;
+}
+
+// 先匹配多字符音素，避免把 eɪ 里的 e 单独替换
+const IPA_PHONEMES = ["iː", "uː", "ɔː", "ɑː", "ɜː", "eɪ", "aɪ", "ɔɪ", "aʊ", "əʊ", "oʊ", "ɪə", "eə", "ʊə", "tʃ", "dʒ"];
+// 近似音对：长短元音、英美元音、易混辅音
+const IPA_SWAPS: [string, string][] = [
+  ["iː", "ɪ"], ["uː", "ʊ"], ["ɔː", "ɒ"], ["ɑː", "ɒ"], ["ɑː", "æ"], ["ɜː", "ə"], ["ʌ", "ɒ"], ["æ", "e"],
+  ["eɪ", "e"], ["əʊ", "ɔː"], ["oʊ", "ɔː"], ["θ", "ð"], ["ʃ", "s"], ["dʒ", "ʒ"], ["s", "z"],
+];
+const IPA_VOWEL = /[iɪeɛæaɑɒɔoʊuʌəɜɐ]/;
+function ipaTokens(body: string) {
+  const out: string[] = [];
+  for (let i = 0; i < body.length; ) {
+    const multi = IPA_PHONEMES.find((p) => body.startsWith(p, i));
+    out.push(multi || body[i]);
+    i += multi ? multi.length : 1;
+  }
+  return out;
+}
+// 重音可移到的位置：词首音节在词首，其余音节在音节核前的一个辅音处
+function stressSlots(tokens: string[]) {
+  const slots: number[] = [];
+  tokens.forEach((t, i) => {
+    const prev = tokens[i - 1];
+    if (!IPA_VOWEL.test(t[0]) || (prev && (IPA_VOWEL.test(prev[0]) || prev === "("))) return;
+    let start = i;
+    while (start > 0 && !IPA_VOWEL.test(tokens[start - 1][0]) && !/[\sˈˌ.()]/.test(tokens[start - 1])) start--;
+    const wordStart = start === 0 || /[\sˈˌ.]/.test(tokens[start - 1]);
+    slots.push(wordStart ? start : Math.max(start, i - 1));
+  });
+  return slots;
+}
+// 近似音标干扰项：移动重音、替换一个近似音素；不够时再用其他卡片的音标补齐，词库太小时用 fallback
+export function ipaDistractors(ipa: string, pool: Card[], fallback: Card[] = [], n = 3): string[] {
+  const body = ipa.replace(/^\/|\/$/g, "");
+  const wrap = (x: string) => `/${x}/`;
+  const tokens = ipaTokens(body);
+  const stressMoves: string[] = [];
+  const stressAt = tokens.indexOf("ˈ");
+  if (stressAt >= 0) {
+    const bare = tokens.filter((_, i) => i !== stressAt);
+    for (const slot of stressSlots(bare)) {
+      const moved = [...bare.slice(0, slot), "ˈ", ...bare.slice(slot)].join("");
+      if (moved !== body) stressMoves.push(wrap(moved));
+    }
+  }
+  const swaps: string[] = [];
+  tokens.forEach((t, i) => {
+    for (const [x, y] of IPA_SWAPS) {
+      const to = t === x ? y : t === y ? x : null;
+      if (to) swaps.push(wrap([...tokens.slice(0, i), to, ...tokens.slice(i + 1)].join("")));
+    }
+  });
+  const picked = new Set<string>();
+  for (const cand of [...shuffle(stressMoves).slice(0, 1), ...shuffle(swaps), ...shuffle(pool.map((c) => c.ipa || "")), ...shuffle(fallback.map((c) => c.ipa || ""))]) {
+    if (picked.size >= n) break;
+    if (cand && cand !== ipa) picked.add(cand);
+  }
+  return [...picked];
+}
+
+// ===== Session =====
+// 一道题的来源：卡片或用法题；key 为 deck + term（用法题为 usage + 题干），复习排期和错题本共用
+// mode 只在混合题型（考试）里出现，覆盖会话的模式；sense 为按义项出题时的义项下标
+export type QuizItem = { key: string; card?: Card; usage?: UsageItem; mode?: Mode; sense?: number };
+// 选择题的 options 在出题时就定好，保存/恢复进度后选项顺序不变
+export type Question = { key: string; mode: Mode; card?: Card; usage?: UsageItem; sense?: number; options: Option[] };
+export type Answer = { choice: number } | { text: string } | { heard: string[] };
+// 一道题的最终结果：答对/答错/直接看答案各产生一次，调用方据此更新排期、错题本和答题日志
+export type Outcome = {
+  key: string; mode: Mode; term: string; card?: Card; usage?: UsageItem; sense?: number;
+  correct: boolean; quality: number; ms: number; at: number; revealed?: boolean; grade?: SpellingGrade;
+  given?: string; // 作答内容：选中的选项、输入的拼写或识别到的读音
+};
+export type SessionOptions = {
+  pool?: Card[]; // 干扰项和拼写比对用的词库，默认取题目里的卡片
+  fallback?: Card[]; // 词库释义不够凑齐四个选项时的补充
+  maxSpeakAttempts?: number;
+  loop?: boolean; // 默认做完最后一题回到第一题；false 时做完即结束（考试）
+  bySense?: boolean; // 多义词每个义项单独出一题（英→中、中→英、听力）
+  lang?: string; // 词库的学习语言，决定拼写归一、例句填空和跟读的比对方式；默认英语
+};
+// 会话是纯数据：每个操作都返回新的会话，可以直接 JSON 序列化
+export type QuizSession = {
+  version: number;
+  mode: Mode;
+  items: QuizItem[];
+  position: number;
+  question: Question | null;
+  revealed: boolean;
+  outcome: Outcome | null;
+  speakTries: string[]; // 跟读：每次识别到的第一候选
+  attempted: number;
+  correct: number;
+  shownAt: number; // 当前题目出现的时间，用于计算作答用时
+  pool: Card[];
+  fallback: Card[];
+  maxSpeakAttempts: number;
+  loop: boolean;
+  lang: string;
+  finished: boolean;
+  results: Outcome[]; // 本轮所有结果，按作答顺序
+};
+export type Step = { session: QuizSession; outcome: Outcome | null };
+
+const SESSION_VERSION = 2;
+const SENSE_MODES: Mode[] = ["eng2cn", "cn2engChoice", "cn2eng", "listening"];
+const CHOICE_MODES: Mode[] = ["eng2cn", "cn2engChoice", "listening", "ipa", "ipa2eng", "audio2ipa", "clozeChoice", "usage"];
+const SPELLING_MODES: Mode[] = ["cn2eng", "cloze", "dictation"];
+export function isChoiceMode(mode: Mode) {
+  return CHOICE_MODES.includes(mode);
+}
+export function isSpellingMode(mode: Mode) {
+  return SPELLING_MODES.includes(mode);
+}
+
+function lettered(opts: Omit<Option, "key">[]): Option[] {
+  return opts.map((o, i) => ({ ...o, key: String.fromCharCode(65 + i) }));
+}
+// 每种模式出题需要的字段；缺字段的卡片不出题
+export function qualifies(item: QuizItem, mode: Mode, lang = "en") {
+  if (mode === "usage") return !!item.usage;
+  if (mode === "ipa" || mode === "ipa2eng" || mode === "audio2ipa") return !!item.card?.ipa;
+  if (mode === "eng2cn" || mode === "listening" || mode === "cn2eng" || mode === "cn2engChoice") return !!item.card?.cn;
+  if (mode === "cloze" || mode === "clozeChoice") return !!item.card && !!clozeOf(item.card, lang);
+  return !!item.card;
+}
+export function itemSense(item: { card?: Card; sense?: number }) {
+  return item.card && item.sense != null ? cardSenses(item.card)[item.sense] : undefined;
+}
+// 题面和标准答案的纯文本，用于考试报告等不显示选项的场合
+export function describeItem(item: QuizItem, mode: Mode, lang = "en") {
+  const { card, usage } = item;
+  const sense = itemSense(item);
+  const gloss = sense ? senseLabel(sense) : card?.cn || "";
+  if (mode === "usage") return { prompt: usage?.q || "", answer: usage?.options[usage.answer] || "" };
+  if (mode === "eng2cn" || mode === "listening") return { prompt: card?.term || "", answer: gloss };
+  if (mode === "ipa" || mode === "audio2ipa") return { prompt: card?.term || "", answer: card?.ipa || "" };
+  if (mode === "ipa2eng") return { prompt: card?.ipa || "", answer: card?.term || "" };
+  if (mode === "speaking") return { prompt: card?.term || "", answer: card?.term || "" };
+  if (mode === "cloze" || mode === "clozeChoice") {
+    const cloze = card ? clozeOf(card, lang) : null;
+    return { prompt: cloze ? `${cloze.before}____${cloze.after}` : "", answer: mode === "cloze" ? cloze?.answer || "" : card?.term || "" };
+  }
+  return { prompt: gloss || card?.term || "", answer: card?.term || "" };
+}
+function buildQuestion(item: QuizItem, mode: Mode, pool: Card[], fallback: Card[]): Question {
+  const base = { key: item.key, mode, card: item.card, usage: item.usage, ...(item.sense != null ? { sense: item.sense } : {}) };
+  const card = item.card;
+  if (mode === "usage") {
+    // 题库里正确答案大多排在第一个，出题时打乱
+    const u = item.usage;
+    return { ...base, options: lettered(shuffle(u?.options.slice(0, 4).map((label, i) => ({ label, correct: i === u.answer })) || [])) };
+  }
+  if (!card) return { ...base, options: [] };
+  if (mode === "eng2cn" || mode === "listening") {
+    const sense = itemSense(item);
+    const distractors = glossDistractors(card, pool, fallback, 3, sense);
+    const answer = sense ? senseLabel(sense) : card.cn || "";
+    return { ...base, options: lettered(shuffle([{ label: answer, correct: true }, ...distractors.map((label) => ({ label, correct: false }))])) };
+  }
+  // 填空选择题的选项是原形，填到句子里可能要变形
+  if (mode === "cn2engChoice" || mode === "ipa2eng" || mode === "clozeChoice") {
+    const distractors = termDistractors(card, pool, fallback);
+    return { ...base, options: lettered(shuffle([{ label: card.term, correct: true }, ...distractors.map((label) => ({ label, correct: false }))])) };
+  }
+  if (mode === "ipa" || mode === "audio2ipa") {
+    // IPA 选择题：给英文词（或只播放读音），选正确的音标；干扰项是近似读音
+    const distractors = card.ipa ? ipaDistractors(card.ipa, pool.filter((c) => c.term !== card.term), fallback.filter((c) => c.term !== card.term)) : [];
+    return { ...base, options: lettered(shuffle([{ label: card.ipa || "", correct: true }, ...distractors.map((label) => ({ label, correct: false }))])) };
+  }
+  return { ...base, options: [] };
+}
+function showAt(s: QuizSession, position: number, now: number): QuizSession {
+  const item = s.items[position];
+  return {
+    ...s, position, revealed: false, outcome: null, speakTries: [], shownAt: now,
+    question: item ? buildQuestion(item, item.mode ?? s.mode, s.pool, s.fallback) : null,
+  };
+}
+
+// 按义项出题时把多义词拆成每个义项一题；已指定义项的条目不再拆
+export function expandSenses(items: QuizItem[], mode: Mode, bySense = true): QuizItem[] {
+  return items.flatMap((it) => {
+    const n = bySense && it.card && it.sense == null && SENSE_MODES.includes(it.mode ?? mode) ? cardSenses(it.card).length : 0;
+    return n > 1 ? Array.from({ length: n }, (_, sense) => ({ ...it, sense })) : [it];
+  });
+}
+// 只保留当前模式能出题的条目（见 qualifies），顺序由调用方决定（打乱、筛选到期等）
+export function createSession(items: QuizItem[], mode: Mode, opts: SessionOptions = {}, now = Date.now()): QuizSession {
+  const lang = opts.lang ?? "en";
+  const usable = expandSenses(items.filter((it) => qualifies(it, it.mode ?? mode, lang)), mode, !!opts.bySense);
+  // 先问各词的第一个义项，再问第二个……同一个词的义项不会连着出
+  if (opts.bySense) usable.sort((a, b) => (a.sense ?? 0) - (b.sense ?? 0));
+  const session: QuizSession = {
+    version: SESSION_VERSION, mode, items: usable, position: 0, question: null, revealed: false, outcome: null,
+    speakTries: [], attempted: 0, correct: 0, shownAt: now, loop: opts.loop ?? true, lang, finished: false, results: [],
+    pool: opts.pool ?? usable.flatMap((it) => (it.card ? [it.card] : [])),
+    fallback: opts.fallback ?? [],
+    maxSpeakAttempts: opts.maxSpeakAttempts ?? MAX_SPEAK_ATTEMPTS,
+  };
+  return showAt(session, 0, now);
+}
+
+export type ExamSettings = { count: number; minutes: number; modes: Mode[] };
+export const EXAM_MODES: Mode[] = ["eng2cn", "cn2eng", "listening", "ipa", "usage"];
+// 考试：各模式轮流抽题，同一个词只考一次；只抽有对应字段的题目，做完即结束
+export function createExam(items: QuizItem[], settings: ExamSettings, opts: SessionOptions = {}, now = Date.now()): QuizSession {
+  const modes = settings.modes.filter((m) => EXAM_MODES.includes(m));
+  const queues = modes.map((mode) => shuffle(items.filter((it) => qualifies(it, mode, opts.lang))).map((it) => ({ ...it, mode })));
+  const used = new Set<string>();
+  const picked: QuizItem[] = [];
+  for (let progress = true; progress && picked.length < settings.count; ) {
+    progress = false;
+    for (const queue of queues) {
+      while (queue.length && used.has(queue[0].key)) queue.shift();
+      const item = queue.shift();
+      if (!item || picked.length >= settings.count) continue;
+      used.add(item.key);
+      picked.push(item);
+      progress = true;
+    }
+  }
+  return createSession(shuffle(picked), modes[0] ?? "eng2cn", { ...opts, loop: false }, now);
+}
+// 交卷或到时：没做的题不再产生结果
+export function finishSession(s: QuizSession): QuizSession {
+  return { ...s, finished: true, question: null, revealed: false, outcome: null };
+}
+
+// 计分的统一出口；已出结果的题目不会再产生第二个结果
+function settle(s: QuizSession, correct: boolean, quality: number, now: number, extra: Partial<Outcome> = {}): Step {
+  const q = s.question!;
+  const outcome: Outcome = {
+    key: q.key, mode: q.mode, term: (q.usage ? q.usage.q : q.card?.term) || "", card: q.card, usage: q.usage, sense: q.sense,
+    correct, quality, ms: now - s.shownAt, at: now, ...extra,
+  };
+  const counted = extra.revealed ? {} : { attempted: s.attempted + 1, correct: s.correct + (correct ? 1 : 0) };
+  return { session: { ...s, ...counted, revealed: true, outcome, results: [...s.results, outcome] }, outcome };
+}
+
+// 答案形式须与模式一致：选择题给 choice（选项下标），拼写题给 text，跟读给 heard（识别候选）
+// 跟读没通过且还有机会时只记下这次尝试，outcome 为 null
+export function submitAnswer(s: QuizSession, answer: Answer, now = Date.now()): Step {
+  const q = s.question;
+  if (!q || s.revealed) return { session: s, outcome: null };
+  if ("choice" in answer) {
+    const opt = isChoiceMode(q.mode) ? q.options[answer.choice] : undefined;
+    return opt ? settle(s, opt.correct, opt.correct ? 4 : 1, now, { given: opt.label }) : { session: s, outcome: null };
+  }
+  if ("text" in answer) {
+    if (!isSpellingMode(q.mode) || !q.card) return { session: s, outcome: null };
+    const term = q.card.term;
+    // 填空题按例句里的实际形式判分（soaked 而不是 soak）
+    const expected = q.mode === "cloze" ? clozeOf(q.card, s.lang)?.answer ?? term : term;
+    let grade = gradeSpelling(answer.text, expected, s.pool.filter((c) => c.term !== term).map((c) => c.term), s.lang);
+    // 按义项出题时题面只有一个义项，写出同样有这个义项的另一个词也算对
+    const sense = itemSense(q);
+    if (grade.verdict !== "correct" && grade.otherTerm && sense) {
+      const canonical = canonicalFor(s.lang);
+      const typed = canonical(normalizeAnswer(answer.text));
+      const synonym = s.pool.some((c) => answerVariants(c.term).some((v) => canonical(v) === typed) && cardSenses(c).some((x) => x.gloss === sense.gloss));
+      if (synonym) grade = { ...grade, verdict: "correct", synonym };
+    }
+    // 拼写接近仍算错，但排期上比完全答错稍好
+    const correct = grade.verdict === "correct";
+    return settle(s, correct, correct ? 4 : grade.verdict === "close" ? 2 : 1, now, { grade, given: answer.text });
+  }
+  if (q.mode !== "speaking" || !q.card) return { session: s, outcome: null };
+  const speakTries = [...s.speakTries, answer.heard[0] || ""];
+  const tried = { ...s, speakTries };
+  // 第一次就通过记 4 分，多试几次才通过记 3 分
+  const given = speakTries[speakTries.length - 1];
+  if (speechMatches(answer.heard, q.card.term, s.lang)) return settle(tried, true, speakTries.length === 1 ? 4 : 3, now, { given });
+  if (speakTries.length >= s.maxSpeakAttempts) return settle(tried, false, 1, now, { given });
+  return { session: tried, outcome: null };
+}
+
+// 直接看答案：记为一次遗忘，但不计入尝试次数
+export function revealAnswer(s: QuizSession, now = Date.now()): Step {
+  if (!s.question || s.revealed) return { session: s, outcome: null };
+  return settle(s, false, 0, now, { revealed: true });
+}
+
+// 下一题；未作答时即跳过本题，不产生结果。到末尾后回到第一题，不循环的会话则结束
+export function nextQuestion(s: QuizSession, now = Date.now()): QuizSession {
+  if (s.finished) return s;
+  if (!s.loop && s.position + 1 >= s.items.length) return finishSession(s);
+  return showAt(s, (s.position + 1) % (s.items.length || 1), now);
+}
+
+// 键盘快捷键：选择题按 1–4 选项，拼写题回车提交 text
+export function shortcutAnswer(s: QuizSession, key: string, text = ""): Answer | null {
+  if (!s.question || s.revealed) return null;
+  if (isChoiceMode(s.question.mode)) {
+    const choice = ["1", "2", "3", "4"].indexOf(key);
+    return choice >= 0 && s.question.options[choice] ? { choice } : null;
+  }
+  return isSpellingMode(s.question.mode) && key === "Enter" ? { text } : null;
+}
+
+export function serializeSession(s: QuizSession) {
+  return JSON.stringify(s);
+}
+// 恢复后重新计时；题目和选项保持保存时的样子
+export function restoreSession(text: string, now = Date.now()): QuizSession {
+  const data = JSON.parse(text);
+  if (data?.version !== SESSION_VERSION || !MODES.includes(data.mode) || !Array.isArray(data.items)) {
+    throw new Error("不是有效的练习进度");
+  }
+  // 早先保存的进度没有 lang，按英语处理
+  const s = { lang: "en", ...data } as QuizSession;
+  if (s.finished) return s;
+  const position = Math.min(Math.max(0, Number(s.position) || 0), Math.max(0, s.items.length - 1));
+  return s.question && position === s.position ? { ...s, shownAt: now } : showAt(s, position, now);
+}
+
+// 把结果写进复习排期和错题本；调用方各自保存
+export function applyReview(book: ReviewBook, o: Outcome): ReviewBook {
+  const key = senseKey(o);
+  return { ...book, [key]: { ...book[key], [o.mode]: nextReview(book[key]?.[o.mode], o.quality, o.at) } };
+}
+export function applyMistake(book: MistakeBook, o: Outcome, clearAfter: number): MistakeBook {
+  const key = senseKey(o);
+  if (o.correct) return recordHit(book, key, clearAfter);
+  return recordMiss(book, key, o.usage ? { usage: o.usage } : { card: o.card, ...(o.sense != null ? { sense: o.sense } : {}) }, o.at);
+}
+// 错题重练/错题卷的题目：去掉错题本键上的义项后缀，还原成原来的条目键
+export function mistakeItem({ key, card, usage, sense }: MistakeEntry): QuizItem {
+  const suffix = `#${sense}`;
+  return { key: sense != null && key.endsWith(suffix) ? key.slice(0, -suffix.length) : key, card, usage, sense };
+}
+
+// ===== Worksheets =====
+// 打印练习卷：各题型按对应练习模式出题（同样的 qualifies、干扰项和选项打乱），纸上和屏幕上的题目一致
+export type WorksheetKind = "matching" | "spelling" | "ipa" | "usage";
+export const WORKSHEET_MODES: Record<WorksheetKind, Mode> = { matching: "eng2cn", spelling: "cn2eng", ipa: "ipa", usage: "usage" };
+export const WORKSHEET_KINDS = Object.keys(WORKSHEET_MODES) as WorksheetKind[];
+// count：每种题型的题数；shuffle 为 false 时按词库顺序取前 count 个
+export type WorksheetSettings = { kinds: WorksheetKind[]; count: number; shuffle: boolean };
+// letter：选择题和连线题的答案字母
+export type WorksheetEntry = { question: Question; prompt: string; answer: string; letter?: string };
+// 连线题的右栏 choices 是本组释义打乱后的顺序
+export type WorksheetSection = { kind: WorksheetKind; entries: WorksheetEntry[]; choices?: Option[] };
+// 连线题每组最多几对，太多了纸上不好连
+export const MATCH_GROUP = 8;
+
+// 同一个词只出现在一种题型里，免得连线题泄露拼写题的答案；不足 count 时有多少出多少
+export function createWorksheet(items: QuizItem[], settings: WorksheetSettings, opts: SessionOptions = {}): WorksheetSection[] {
+  const lang = opts.lang ?? "en";
+  const pool = opts.pool ?? items.flatMap((it) => (it.card ? [it.card] : []));
+  const used = new Set<string>();
+  const sections: WorksheetSection[] = [];
+  for (const kind of WORKSHEET_KINDS.filter((k) => settings.kinds.includes(k))) {
+    const mode = WORKSHEET_MODES[kind];
+    const glosses = new Set<string>();
+    const entries: WorksheetEntry[] = [];
+    for (const item of settings.shuffle ? shuffle(items) : items) {
+      if (entries.length >= settings.count) break;
+      if (used.has(item.key) || !qualifies(item, mode, lang)) continue;
+      const { prompt, answer } = describeItem(item, mode, lang);
+      // 连线题里两个词释义相同就分不清了
+      if (kind === "matching") {
+        if (glosses.has(answer)) continue;
+        glosses.add(answer);
+      }
+      used.add(item.key);
+      const question = buildQuestion(item, mode, pool, opts.fallback ?? []);
+      entries.push({ question, prompt, answer, letter: question.options.find((o) => o.correct)?.key });
+    }
+    if (kind !== "matching") {
+      if (entries.length) sections.push({ kind, entries });
+      continue;
+    }
+    for (let i = 0; i < entries.length; i += MATCH_GROUP) {
+      const group = entries.slice(i, i + MATCH_GROUP);
+      const choices = lettered(shuffle(group.map((e) => ({ label: e.answer, correct: false }))));
+      sections.push({ kind, choices, entries: group.map((e) => ({ ...e, letter: choices.find((c) => c.label === e.answer)?.key })) });
+    }
+  }
+  return sections;
+}
@@ -1,32 +1,539 @@
 import * as React from "react";
 import * as XLSX from "xlsx";
+import {
+  MODES, MAX_SPEAK_ATTEMPTS, DAY_MS, shuffle, startOfDay, reviewKey, senseKey, isDue, mistakeMatches,
+  createSession, submitAnswer, revealAnswer as revealSession, nextQuestion, shortcutAnswer, isChoiceMode,
+  applyReview, applyMistake, mistakeItem, expandSenses, EXAM_MODES, createExam, finishSession, describeItem, qualifies,
+  parseSenses, formatSenses, senseLabel, cardSenses, itemSense, clozeOf, isSpellingMode, baseLang, WORKSHEET_KINDS, createWorksheet,
+} from "./quiz_engine";
+import type { Card, Sense, Mode, UsageItem, ReviewState, ReviewBook, MistakeEntry, MistakeBook, SpellingGrade, QuizItem, QuizSession, Step, Outcome, Answer, ExamSettings, WorksheetSettings, WorksheetSection } from "./quiz_engine";
+export type { Card, Sense, Mode, Option, UsageItem, ReviewState, ReviewBook, MistakeEntry, MistakeBook, DiffOp, SpellingGrade } from "./quiz_engine";
+import { cardsToAnki, parseAnkiText } from "./anki";
+import { webSpeech, webRecognition, DEFAULT_SPEECH, speechLang, speakWith } from "./speech";
+import type { SpeechEngine, SpeechSettings, SpeechVoice, RecognitionAdapter } from "./speech";
+export { webSpeech, webRecognition, createStubRecognition } from "./speech";
+export type { SpeechVoice, SpeakOptions, SpeechEngine, SpeechSettings, RecognitionAdapter } from "./speech";
+import { LOCALES, translator, detectLocale, isMessageKey } from "./i18n";
+import type { Locale, MessageKey, Translate } from "./i18n";
 
 // ===== Types =====
-export type Card = { term: string; cn?: string; ipa?: string };
-export type Mode = "eng2cn" | "cn2eng" | "listening" | "usage" | "ipa";
-export type Option = { key: string; label: string; correct: boolean };
-export type UsageItem = { q: string; options: string[]; answer: number; explain?: string };
+export type UsageSource = "builtin" | "custom" | "both";
+// 词库：id 用作复习/错题记录的前缀，改名不影响 id
+// target：学习语言，gloss：释义语言（语言代码）；旧数据没有时按英语/中文处理
+export type Deck = { id: string; name: string; cards: Card[]; builtin?: boolean; createdAt: number; target?: string; gloss?: string };
+export type DeckLanguages = { target: string; gloss: string };
+// 本轮练习中的一张卡片及其所属词库
+export type DeckEntry = { card: Card; deck: string };
+export type ExportFormat = "xlsx" | "csv" | "anki" | "json";
+// 文本导入：粘贴的词表（Quizlet 导出格式）、Anki 纯文本、JSON 词库
+export type TextFormat = "list" | "anki" | "json";
+export type ListSeparator = "tab" | "comma" | "dash" | "custom";
+// 答题日志：每次作答（或直接看答案）一条，ms 为从出题到作答的用时
+export type AnswerLog = { key: string; deck: string; term: string; mode: Mode; correct: boolean; ms: number; at: number; revealed?: boolean };
+// 考试记录：每题的题面、标准答案和作答；没作答的题 answered 为 false
+export type ExamResult = { mode: Mode; prompt: string; answer: string; given?: string; correct: boolean; answered: boolean; ms: number };
+export type ExamRecord = { at: number; settings: ExamSettings; duration: number; results: ExamResult[]; timedOut?: boolean };
+export type ColumnField = "term" | "cn" | "ipa" | "pos" | "senses" | "example" | "tags";
+// 每个字段对应的列号；-1 表示不导入
+export type ColumnMap = Record<ColumnField, number>;
+
+// 卡片缺少这些字段时，对应模式不出题
+const MODE_REQUIRES: Partial<Record<Mode, MessageKey>> = {
+  eng2cn: "requires.gloss", cn2engChoice: "requires.gloss", cn2eng: "requires.gloss", listening: "requires.gloss",
+  ipa: "requires.ipa", ipa2eng: "requires.ipa", audio2ipa: "requires.ipa",
+  cloze: "requires.example", clozeChoice: "requires.example",
+};
+
+// ===== Locale =====
+// 界面文字在 i18n.ts；子组件用 useT 取当前界面语言的翻译函数
+const LocaleContext = React.createContext<Translate>(translator("zh"));
+function useT() {
+  return React.useContext(LocaleContext);
+}
+function modeLabel(t: Translate, mode: Mode) {
+  return t(`mode.${mode}`);
+}
+// 词库可选的语言；界面里显示语言名，未收录的代码原样显示
+const DECK_LANGUAGES = ["en", "zh", "ja", "ko", "es", "fr", "de"];
+const DEFAULT_LANGUAGES: DeckLanguages = { target: "en", gloss: "zh" };
+function languageName(t: Translate, code: string) {
+  const key = `lang.${baseLang(code)}`;
+  return isMessageKey(key) ? t(key) : code;
+}
+function deckLanguages(deck?: Partial<DeckLanguages>): DeckLanguages {
+  return { target: deck?.target || DEFAULT_LANGUAGES.target, gloss: deck?.gloss || DEFAULT_LANGUAGES.gloss };
+}
+
+// ===== Storage =====
+const STORAGE_PREFIX = "quizgpt.";
+function loadStored<T>(key: string, fallback: T): T {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw == null ? fallback : (JSON.parse(raw) as T);
+  } catch {
+    return fallback;
+  }
+}
+// 写入失败（多半是存储空间已满）时广播这个事件，由界面提示用户；返回是否写入成功
+const STORAGE_ERROR_EVENT = "quizgpt:storage-error";
+function saveStored<T>(key: string, value: T) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.error(err);
+    window.dispatchEvent(new Event(STORAGE_ERROR_EVENT));
+    return false;
+  }
+}
+// 与 useState 相同，但会写入 localStorage，刷新后仍保留
+function usePersistentState<T>(key: string, initial: T) {
+  const [value, setValue] = React.useState<T>(() => loadStored(key, initial));
+  React.useEffect(() => { saveStored(key, value); }, [key, value]);
+  return [value, setValue] as const;
+}
+
+// ===== Scheduling (SM-2) =====
+function formatDue(s: ReviewState, t: Translate, now = Date.now()) {
+  const days = Math.round((s.due - startOfDay(now)) / DAY_MS);
+  return days <= 0 ? t("due.today") : days === 1 ? t("due.tomorrow") : t("due.days", { n: days });
+}
+// 错题本每页条数
+const MISTAKE_PAGE_SIZE = 12;
+
+// ===== Answer log & stats =====
+// 每次作答都会整份写回 localStorage；5000 条不到 1 MB，给词库和复习排期留出空间
+const ANSWER_LOG_LIMIT = 5000;
+const STATS_DAYS = 14;
+function dayKey(ts: number) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+function appendLog(log: AnswerLog[], entry: AnswerLog) {
+  const next = [...log, entry];
+  return next.length > ANSWER_LOG_LIMIT ? next.slice(next.length - ANSWER_LOG_LIMIT) : next;
+}
+type Tally = { total: number; correct: number; ms: number };
+function tally(entries: AnswerLog[]): Tally {
+  return entries.reduce((t, e) => ({ total: t.total + 1, correct: t.correct + (e.correct ? 1 : 0), ms: t.ms + e.ms }), { total: 0, correct: 0, ms: 0 });
+}
+function summarizeLog(log: AnswerLog[], now = Date.now()) {
+  const days = Array.from({ length: STATS_DAYS }, (_, i) => dayKey(startOfDay(now) - (STATS_DAYS - 1 - i) * DAY_MS));
+  const perDay = days.map((day) => ({ day, ...tally(log.filter((e) => dayKey(e.at) === day)) }));
+  const perMode = MODES.map((mode) => ({ mode, ...tally(log.filter((e) => e.mode === mode)) })).filter((m) => m.total > 0);
+  const byKey = new Map<string, AnswerLog[]>();
+  log.forEach((e) => byKey.set(e.key, [...(byKey.get(e.key) || []), e]));
+  // 至少答过两次才参与“最薄弱”排序，先看错误率再看错误次数
+  const weakest = [...byKey.values()]
+    .map((entries) => ({ term: entries[entries.length - 1].term, deck: entries[0].deck, ...tally(entries) }))
+    .filter((w) => w.total >= 2 && w.correct < w.total)
+    .sort((a, b) => a.correct / a.total - b.correct / b.total || (b.total - b.correct) - (a.total - a.correct))
+    .slice(0, 10);
+  // 连续学习天数：从今天（今天还没学则从昨天）往前数
+  const studied = new Set(log.map((e) => dayKey(e.at)));
+  let streak = 0;
+  for (let t = studied.has(dayKey(now)) ? now : now - DAY_MS; studied.has(dayKey(t)); t -= DAY_MS) streak++;
+  const dayNums = [...studied]
+    .map((k) => { const [y, m, d] = k.split("-").map(Number); return Math.round(new Date(y, m - 1, d).getTime() / DAY_MS); })
+    .sort((x, y) => x - y);
+  let longest = 0;
+  let run = 0;
+  dayNums.forEach((n, i) => {
+    run = i > 0 && n === dayNums[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return { perDay, perMode, weakest, total: tally(log), streak, longest, studyDays: studied.size };
+}
+function csvCell(v: unknown) {
+  const text = v == null ? "" : String(v);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function rowsToCsv(rows: unknown[][]) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n");
+}
+function logToCsv(log: AnswerLog[]) {
+  const header = ["time", "deck", "term", "mode", "correct", "response_ms", "revealed"];
+  const rows = log.map((e) => [new Date(e.at).toISOString(), e.deck, e.term, e.mode, e.correct ? 1 : 0, e.ms, e.revealed ? 1 : 0]);
+  return rowsToCsv([header, ...rows]);
+}
+// 触发浏览器下载；CSV 加 BOM，Excel 打开中文不乱码
+function downloadText(filename: string, text: string, mime = "text/plain") {
+  const bom = mime === "text/csv" ? "\ufeff" : "";
+  const url = URL.createObjectURL(new Blob([bom + text], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ===== Deck library =====
+function termKey(term: string) {
+  return term.trim().toLowerCase();
+}
+// 同名词库沿用原 id（复习记录随之保留），否则生成不冲突的新 id
+function upsertDeck(decks: Deck[], name: string, cards: Card[], langs: DeckLanguages = DEFAULT_LANGUAGES, now = Date.now()): { decks: Deck[]; id: string } {
+  const existing = decks.find((d) => d.name === name);
+  if (existing) return { decks: decks.map((d) => (d === existing ? { ...d, cards, ...langs } : d)), id: existing.id };
+  const taken = new Set([...BUILTIN_DECKS, ...decks].map((d) => d.id));
+  let id = name;
+  for (let n = 2; taken.has(id); n++) id = `${name} (${n})`;
+  return { decks: [...decks, { id, name, cards, createdAt: now, ...langs }], id };
+}
+// 同一个词出现在多个词库（或同一词库多次）时列出来
+function findDuplicates(entries: DeckEntry[]) {
+  const groups = new Map<string, DeckEntry[]>();
+  entries.forEach((e) => groups.set(termKey(e.card.term), [...(groups.get(termKey(e.card.term)) || []), e]));
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+// ===== Export & backup =====
+// 前三列保持 词条/释义/IPA，表头能被导入时的列识别认出来，导出的文件可以原样再导入
+const EXPORT_HEADER = ["English", "Chinese", "IPA", "Tags", "POS", "Example", "Senses"];
+const USAGE_EXPORT_HEADER = ["Question", "A", "B", "C", "D", "Answer", "Explanation"];
+const BACKUP_APP = "quizgpt";
+function cardsToRows(cards: Card[]) {
+  return [EXPORT_HEADER, ...cards.map((c) => [c.term, c.cn || "", c.ipa || "", (c.tags || []).join(" "), c.pos || "", c.example || "", c.senses ? formatSenses(c.senses) : ""])];
+}
+function usageToRows(items: UsageItem[]) {
+  return [USAGE_EXPORT_HEADER, ...items.map((u) => [u.q, ...[0, 1, 2, 3].map((i) => u.options[i] || ""), String.fromCharCode(65 + u.answer), u.explain || ""])];
+}
+function safeFileName(name: string) {
+  return name.replace(/[\\/:*?"<>|]+/g, "_").trim() || "quizgpt";
+}
+// xlsx 中词表和用法题各占一个工作表，表名用界面语言；csv/anki 只有一张表，优先导出词表
+function exportItems(name: string, format: ExportFormat, cards: Card[], usage: UsageItem[], t: Translate, langs?: DeckLanguages) {
+  const base = safeFileName(name);
+  if (format === "xlsx") {
+    const wb = XLSX.utils.book_new();
+    if (cards.length) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(cardsToRows(cards)), t("export.sheetCards"));
+    if (usage.length) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(usageToRows(usage)), t("export.sheetUsage"));
+    XLSX.writeFile(wb, `${base}.xlsx`);
+  } else if (format === "json") {
+    downloadText(`${base}.json`, JSON.stringify(deckToJson(name, cards, usage, langs), null, 2), "application/json");
+  } else if (format === "csv") {
+    downloadText(`${base}.csv`, rowsToCsv(cards.length ? cardsToRows(cards) : usageToRows(usage)), "text/csv");
+  } else {
+    downloadText(`${base}.txt`, cardsToAnki(cards));
+  }
+}
+// 备份所有以 STORAGE_PREFIX 开头的本地数据
+function collectBackup() {
+  const data: Record<string, unknown> = {};
+  for (let i = 0; i < window.localStorage.length; i++) {
+    const key = window.localStorage.key(i);
+    if (!key?.startsWith(STORAGE_PREFIX)) continue;
+    data[key.slice(STORAGE_PREFIX.length)] = loadStored(key.slice(STORAGE_PREFIX.length), null);
+  }
+  return { app: BACKUP_APP, version: 1, exportedAt: new Date().toISOString(), data };
+}
+// 恢复会先清掉现有数据；格式不对时抛错，不动现有数据
+function restoreBackup(text: string, t: Translate) {
+  const backup = JSON.parse(text);
+  if (backup?.app !== BACKUP_APP || typeof backup.data !== "object" || !backup.data) throw new Error(t("backup.invalid"));
+  Object.keys(window.localStorage).filter((k) => k.startsWith(STORAGE_PREFIX)).forEach((k) => window.localStorage.removeItem(k));
+  const failed = Object.entries(backup.data as Record<string, unknown>).filter(([k, v]) => !saveStored(k, v));
+  if (failed.length) throw new Error(t("storage.full"));
+  return Object.keys(backup.data).length;
+}
 
-// ===== Utils =====
-function shuffle<T>(arr: T[]): T[] {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
+// ===== Import =====
+// 用法题表格：题目 | A | B | C | D | 答案（字母 A-D / 序号 1-4 / 选项原文） | 解析（可选）
+function parseUsageRows(rows: any[][], t: Translate): { items: UsageItem[]; errors: string[] } {
+  const items: UsageItem[] = [];
+  const errors: string[] = [];
+  rows.forEach((r, rowIdx) => {
+    const cells = Array.from(r || [], (v) => (v ?? "").toString().trim());
+    if (!cells.some(Boolean)) return;
+    const [q, ...rest] = cells;
+    const raw = rest.slice(0, 4);
+    const ansCell = rest[4] || "";
+    const ansCol = resolveUsageAnswer(ansCell, raw);
+    if (rowIdx === 0 && ansCol < 0) return; // 表头
+    const fail = (error: string) => errors.push(t("common.rowError", { row: rowIdx + 1, error }));
+    // C/D 可留空；按原列号对应答案后再压缩掉空选项
+    const opts = raw.map((label, col) => ({ label, col })).filter((o) => o.label);
+    if (!q) { fail(t("usage.noQuestion")); return; }
+    if (opts.length < 2) { fail(t("usage.fewOptions")); return; }
+    const answer = opts.findIndex((o) => o.col === ansCol);
+    if (answer < 0) { fail(t("usage.badAnswer", { answer: ansCell })); return; }
+    items.push({ q, options: opts.map((o) => o.label), answer, explain: rest[5] || undefined });
+  });
+  return { items, errors };
+}
+function resolveUsageAnswer(cell: string, options: string[]) {
+  if (/^[A-Da-d]$/.test(cell)) return cell.toUpperCase().charCodeAt(0) - 65;
+  if (/^[1-4]$/.test(cell)) return Number(cell) - 1;
+  return options.findIndex((o) => !!o && o.toLowerCase() === cell.toLowerCase());
+}
+function mergeUsage(...banks: UsageItem[][]) {
+  return [...new Map(banks.flat().map((u) => [u.q, u])).values()];
+}
+
+// 表头识别只做整格匹配，避免把 parcel / word 这类真实单词当成表头
+const COLUMN_FIELDS: { field: ColumnField; label: MessageKey; header: RegExp }[] = [
+  { field: "term", label: "column.term", header: /^(english|term|word|vocabulary|单词|英文|词汇|词条)$/i },
+  { field: "cn", label: "column.cn", header: /^(chinese|meaning|definition|gloss|translation|中文|释义|中文释义|词义|翻译)$/i },
+  { field: "ipa", label: "column.ipa", header: /^(ipa|pronunciation|音标|发音)$/i },
+  { field: "pos", label: "column.pos", header: /^(pos|part of speech|词性)$/i },
+  { field: "senses", label: "column.senses", header: /^(senses|义项)$/i },
+  { field: "example", label: "column.example", header: /^(example|sentence|例句)$/i },
+  { field: "tags", label: "column.tags", header: /^(tags?|标签)$/i },
+];
+function cellText(v: unknown) {
+  return (v ?? "").toString().trim();
+}
+// 根据首行猜测列映射；首行没有可识别的表头时按 词条/释义/IPA 的旧布局处理
+function guessColumns(firstRow: unknown[]): { map: ColumnMap; hasHeader: boolean } {
+  const cells = Array.from(firstRow || [], cellText);
+  const map = { term: -1, cn: -1, ipa: -1, pos: -1, senses: -1, example: -1, tags: -1 } as ColumnMap;
+  for (const { field, header } of COLUMN_FIELDS) map[field] = cells.findIndex((c) => header.test(c));
+  if (Object.values(map).some((i) => i >= 0)) {
+    if (map.term < 0) map.term = 0;
+    return { map, hasHeader: true };
   }
-  return a;
+  return { map: { ...map, term: 0, cn: 1, ipa: 2 }, hasHeader: false };
 }
-function pickDistractors<T>(all: T[], n: number, exclude: (x: T) => boolean): T[] {
-  const pool = all.filter((x) => !exclude(x));
-  return shuffle(pool).slice(0, Math.max(0, Math.min(n, pool.length)));
+function rowsToCards(rows: unknown[][], map: ColumnMap, hasHeader: boolean, t: Translate) {
+  const cards: Card[] = [];
+  const skipped: { row: number; reason: string }[] = [];
+  rows.forEach((r, rowIdx) => {
+    if (hasHeader && rowIdx === 0) return;
+    const cells = Array.from(r || [], cellText);
+    if (!cells.some(Boolean)) return;
+    const get = (field: ColumnField) => (map[field] >= 0 ? cells[map[field]] || "" : "");
+    const term = get("term");
+    if (!term) { skipped.push({ row: rowIdx + 1, reason: t("import.noTerm") }); return; }
+    const tags = get("tags").split(/[,，;；\s]+/).filter(Boolean);
+    // 义项列：“n. 队列 | v. 排队”；没有释义列时用义项拼出 cn
+    const senses = parseSenses(get("senses"));
+    cards.push({
+      term,
+      cn: get("cn") || (senses.length ? senses.map(senseLabel).join("；") : undefined),
+      senses: senses.length ? senses : undefined,
+      ipa: get("ipa") || undefined,
+      pos: get("pos") || undefined,
+      example: get("example") || undefined,
+      tags: tags.length ? tags : undefined,
+    });
+  });
+  return { cards, skipped };
+}
+
+// ===== Text import =====
+// JSON 词库格式（导出的 .json 也是这个格式，可原样再导入）：
+// {
+//   "format": "quizgpt-deck", "version": 1, "name": "8.27", "target": "en", "gloss": "zh",
+//   "cards": [{ "term": "queue", "cn": "队列；排队", "ipa": "/kjuː/", "pos": "n.",
+//               "senses": [{ "pos": "n", "gloss": "队列" }, { "pos": "v", "gloss": "排队" }],
+//               "example": "We queued for an hour.", "tags": ["8.27"] }],
+//   "usage": [{ "q": "He ___ the rules.", "options": ["broke", "broken"], "answer": 0, "explain": "…" }]
+// }
+// 卡片只有 term 必填，senses 也可以写成 "n. 队列 | v. 排队"；用法题 answer 为选项下标（从 0 开始）或字母。
+// target / gloss 是学习语言和释义语言的代码，可省略（按 en / zh）。也接受直接是卡片数组的 JSON。
+const DECK_FORMAT = "quizgpt-deck";
+type TextImport = { name?: string; cards: Card[]; usage: UsageItem[]; errors: string[]; langs?: Partial<DeckLanguages> };
+function deckToJson(name: string, cards: Card[], usage: UsageItem[], langs?: DeckLanguages) {
+  return { format: DECK_FORMAT, version: 1, name, ...langs, cards, usage };
 }
-function speak(text: string) {
+function optionalText(v: unknown) {
+  return typeof v === "string" && v.trim() ? v.trim() : undefined;
+}
+// JSON.parse 的报错只给字符位置，换算成行号
+function jsonErrorLine(text: string, err: unknown) {
+  const pos = Number(String(err instanceof Error ? err.message : err).match(/position (\d+)/)?.[1]);
+  return Number.isFinite(pos) ? text.slice(0, pos).split("\n").length : 0;
+}
+function parseDeckJson(text: string, t: Translate): TextImport {
+  let data: any;
   try {
-    const utter = new SpeechSynthesisUtterance(text);
-    utter.lang = "en-US";
-    window.speechSynthesis.cancel();
-    window.speechSynthesis.speak(utter);
-  } catch {}
+    data = JSON.parse(text);
+  } catch (err) {
+    const line = jsonErrorLine(text, err);
+    const error = t("json.syntax", { error: err instanceof Error ? err.message : String(err) });
+    return { cards: [], usage: [], errors: [line ? t("common.rowError", { row: line, error }) : error] };
+  }
+  const rawCards: any[] = Array.isArray(data) ? data : Array.isArray(data?.cards) ? data.cards : [];
+  const rawUsage: any[] = Array.isArray(data?.usage) ? data.usage : [];
+  if (!rawCards.length && !rawUsage.length) return { cards: [], usage: [], errors: [t("json.notDeck")] };
+  const cards: Card[] = [];
+  const usage: UsageItem[] = [];
+  const errors: string[] = [];
+  rawCards.forEach((c, i) => {
+    const term = optionalText(c?.term);
+    if (!term) { errors.push(t("json.item", { list: "cards", n: i + 1, error: t("json.noTerm") })); return; }
+    const senses: Sense[] = typeof c.senses === "string" ? parseSenses(c.senses)
+      : Array.isArray(c.senses) ? c.senses.flatMap((x: any) => {
+        const gloss = optionalText(x?.gloss);
+        const pos = optionalText(x?.pos);
+        return gloss ? [pos ? { pos, gloss } : { gloss }] : [];
+      }) : [];
+    const tags: string[] = Array.isArray(c.tags) ? c.tags.filter((t: unknown) => typeof t === "string" && t)
+      : typeof c.tags === "string" ? c.tags.split(/[,，;；\s]+/).filter(Boolean) : [];
+    cards.push({
+      term,
+      cn: optionalText(c.cn) || (senses.length ? senses.map(senseLabel).join("；") : undefined),
+      ipa: optionalText(c.ipa),
+      pos: optionalText(c.pos),
+      example: optionalText(c.example),
+      tags: tags.length ? tags : undefined,
+      senses: senses.length ? senses : undefined,
+    });
+  });
+  rawUsage.forEach((u, i) => {
+    const fail = (error: string) => errors.push(t("json.item", { list: "usage", n: i + 1, error }));
+    const q = optionalText(u?.q);
+    const options: string[] = Array.isArray(u?.options) ? u.options.map((o: unknown) => String(o ?? "").trim()).filter(Boolean) : [];
+    if (!q) { fail(t("json.noQuestion")); return; }
+    if (options.length < 2 || options.length > 4) { fail(t("json.optionCount")); return; }
+    const answer = typeof u.answer === "number" ? u.answer : resolveUsageAnswer(String(u.answer ?? ""), options);
+    if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) { fail(t("json.badAnswer")); return; }
+    usage.push({ q, options, answer, explain: optionalText(u.explain) });
+  });
+  return { name: optionalText(data?.name), cards, usage, errors, langs: { target: optionalText(data?.target), gloss: optionalText(data?.gloss) } };
+}
+
+// 粘贴的词表：每行一个词，词条和释义之间用分隔符；只在第一个分隔符处拆开，释义里可以再出现分隔符
+const LIST_SEPARATORS: Record<Exclude<ListSeparator, "custom">, RegExp> = { tab: /\t/, comma: /\s*,\s*/, dash: /\s+[-–—]\s+/ };
+function parsePastedList(text: string, separator: ListSeparator, custom: string, t: Translate): TextImport {
+  if (separator === "custom" && !custom) return { cards: [], usage: [], errors: [t("list.customEmpty")] };
+  const cards: Card[] = [];
+  const errors: string[] = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const fail = (error: string) => errors.push(t("common.rowError", { row: i + 1, error }));
+    const m = separator === "custom" ? null : line.match(LIST_SEPARATORS[separator]);
+    const at = separator === "custom" ? line.indexOf(custom) : m?.index ?? -1;
+    if (at < 0) { fail(t("list.noSeparator")); return; }
+    const term = line.slice(0, at).trim();
+    const cn = line.slice(at + (m ? m[0].length : custom.length)).trim();
+    if (!term) { fail(t("list.noTerm")); return; }
+    cards.push({ term, cn: cn || undefined });
+  });
+  return { cards, usage: [], errors };
+}
+function guessListSeparator(text: string): ListSeparator {
+  if (text.includes("\t")) return "tab";
+  return /\s[-–—]\s/.test(text) ? "dash" : "comma";
+}
+function guessTextFormat(fileName: string, text: string): TextFormat {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) return "json";
+  return /^#(separator|html|tags column|notetype|deck):/im.test(text) ? "anki" : "list";
+}
+function parseText(text: string, format: TextFormat, separator: ListSeparator, custom: string, t: Translate): TextImport {
+  if (format === "json") return parseDeckJson(text, t);
+  if (format === "anki") return { ...parseAnkiText(text, t), usage: [] };
+  return parsePastedList(text, separator, custom, t);
+}
+
+// ===== Deck lint =====
+export type LintKind = "duplicate" | "swapped" | "cjkTerm" | "longTerm" | "ipa" | "noGloss";
+export type LintFix = "drop" | "merge" | "swap" | "split" | "slashes" | "edit";
+// row 是卡片在词表中的下标；重复项的 first 指向第一次出现的位置；说明文字由 lintMessage 按界面语言生成
+export type LintIssue = { row: number; kind: LintKind; fixes: LintFix[]; first?: number };
+const CJK = /[\u3400-\u9fff\uf900-\ufaff]/;
+// 学习语言本身用汉字书写时，词条含中文是正常的
+const CJK_LANGS = ["zh", "ja", "ko"];
+const LONG_TERM_WORDS = 6;
+const LONG_TERM_CHARS = 40;
+// 一个或多个 /…/ 或 […]，多个读音之间用逗号、分号或空格分开
+const IPA_FORMAT = /^(\/[^/]+\/|\[[^\]]+\])([,;，；\s]+(\/[^/]+\/|\[[^\]]+\]))*$/;
+const LINT_FIX_LABELS: Record<LintFix, MessageKey> = {
+  drop: "lintFix.drop", merge: "lintFix.merge", swap: "lintFix.swap", split: "lintFix.split", slashes: "lintFix.slashes", edit: "lintFix.edit",
+};
+// “编辑”修改的是出问题的那一列
+const LINT_EDIT_FIELD: Record<LintKind, "term" | "cn" | "ipa"> = { duplicate: "term", swapped: "term", cjkTerm: "term", longTerm: "term", ipa: "ipa", noGloss: "cn" };
+// 没有释义时出不了题的模式
+const GLOSS_MODES: Mode[] = ["eng2cn", "cn2eng", "listening"];
+
+// “One out of five：指……”这类把英文和解释写在同一格的词条
+function splitTerm(term: string) {
+  const m = term.match(/^([^\u3400-\u9fff：:]*[A-Za-z][^\u3400-\u9fff：:]*?)\s*[：:]\s*(.+)$/);
+  return m ? [m[1].trim(), m[2].trim()] : null;
+}
+// target：词库的学习语言；学中文/日语/韩语时词条本来就含汉字，对调的判断也反过来
+function lintCards(cards: Card[], target = "en"): LintIssue[] {
+  const issues: LintIssue[] = [];
+  const firstSeen = new Map<string, number>();
+  const cjkTarget = CJK_LANGS.includes(baseLang(target));
+  cards.forEach((c, row) => {
+    const term = c.term.trim();
+    const first = firstSeen.get(termKey(term));
+    if (first != null) issues.push({ row, kind: "duplicate", first, fixes: ["merge", "drop"] });
+    else firstSeen.set(termKey(term), row);
+    if (!cjkTarget && CJK.test(term)) {
+      if (c.cn && !CJK.test(c.cn)) issues.push({ row, kind: "swapped", fixes: ["swap", "edit", "drop"] });
+      else issues.push({ row, kind: "cjkTerm", fixes: [...(splitTerm(term) ? ["split" as const] : []), "edit", "drop"] });
+    } else if (cjkTarget && !CJK.test(term) && c.cn && CJK.test(c.cn)) {
+      issues.push({ row, kind: "swapped", fixes: ["swap", "edit", "drop"] });
+    } else if (term.split(/\s+/).length > LONG_TERM_WORDS || term.length > LONG_TERM_CHARS) {
+      issues.push({ row, kind: "longTerm", fixes: ["edit", "drop"] });
+    }
+    if (c.ipa && !IPA_FORMAT.test(c.ipa.trim())) {
+      const bare = !CJK.test(c.ipa) && !/[/[\]]/.test(c.ipa);
+      issues.push({ row, kind: "ipa", fixes: bare ? ["slashes", "edit"] : ["edit"] });
+    }
+    if (!c.cn) issues.push({ row, kind: "noGloss", fixes: ["edit", "drop"] });
+  });
+  return issues;
+}
+function lintMessage(t: Translate, issue: LintIssue) {
+  if (issue.kind === "duplicate") return t("lint.duplicate", { n: (issue.first ?? 0) + 1 });
+  if (issue.kind === "ipa") return t(issue.fixes.includes("slashes") ? "lint.ipaBare" : "lint.ipa");
+  if (issue.kind === "noGloss") return t("lint.noGloss", { modes: GLOSS_MODES.map((m) => modeLabel(t, m)).join(t("common.listSeparator")) });
+  return t(`lint.${issue.kind}`);
+}
+// 各模式能出题的卡片数，只列出有卡片用不上的模式
+function lintCoverage(cards: Card[]) {
+  const usable: Partial<Record<Mode, number>> = { ipa: cards.filter((c) => c.ipa).length };
+  GLOSS_MODES.forEach((m) => { usable[m] = cards.filter((c) => c.cn).length; });
+  return (Object.keys(usable) as Mode[]).map((mode) => ({ mode, usable: usable[mode] ?? 0 })).filter((x) => x.usable < cards.length);
+}
+function mergeCards(a: Card, b: Card): Card {
+  const tags = [...new Set([...(a.tags || []), ...(b.tags || [])])];
+  // 任一方有结构化义项时合并双方的义项，同一释义只留一个
+  const senses = a.senses?.length || b.senses?.length ? [...cardSenses(a), ...cardSenses(b)].filter((s, i, all) => all.findIndex((x) => x.gloss === s.gloss) === i) : [];
+  return {
+    term: a.term,
+    cn: a.cn && b.cn && a.cn !== b.cn ? `${a.cn}；${b.cn}` : a.cn || b.cn,
+    ipa: a.ipa || b.ipa,
+    pos: a.pos || b.pos,
+    example: a.example || b.example,
+    tags: tags.length ? tags : undefined,
+    senses: senses.length ? senses : undefined,
+  };
+}
+// value 是“编辑”时输入的新内容；词条不能改成空
+function applyLintFix(cards: Card[], issue: LintIssue, fix: LintFix, value = ""): Card[] {
+  const c = cards[issue.row];
+  const replace = (card: Card) => cards.map((x, i) => (i === issue.row ? card : x));
+  if (fix === "drop") return cards.filter((_, i) => i !== issue.row);
+  if (fix === "merge" && issue.first != null) {
+    const merged = mergeCards(cards[issue.first], c);
+    return cards.map((x, i) => (i === issue.first ? merged : x)).filter((_, i) => i !== issue.row);
+  }
+  if (fix === "swap") return replace({ ...c, term: c.cn || c.term, cn: c.term });
+  if (fix === "split") {
+    const parts = splitTerm(c.term);
+    return parts ? replace({ ...c, term: parts[0], cn: c.cn || parts[1] }) : cards;
+  }
+  if (fix === "slashes" && c.ipa) return replace({ ...c, ipa: `/${c.ipa.trim()}/` });
+  if (fix === "edit") {
+    const field = LINT_EDIT_FIELD[issue.kind];
+    if (field === "term" && !value.trim()) return cards;
+    return replace({ ...c, [field]: value.trim() || undefined });
+  }
+  return cards;
+}
+// 一键修复只做不会丢信息的：合并重复、给音标补斜杠
+function autoFixCards(cards: Card[], target?: string) {
+  let out = cards;
+  for (let guard = 0; guard <= cards.length * 2; guard++) {
+    const issue = lintCards(out, target).find((x) => x.kind === "duplicate" || x.fixes.includes("slashes"));
+    if (!issue) break;
+    out = applyLintFix(out, issue, issue.kind === "duplicate" ? "merge" : "slashes");
+  }
+  return out;
 }
 
 // ===== Datasets =====
@@ -118,6 +625,23 @@ const sampleData828: Card[] = [
   { term: "fertility", cn: "生育力；生育率", ipa: "/fərˈtɪləti/" }
 ];
 
+// 干扰项不足时的后备词库
+const builtinCards: Card[] = [...sampleData729, ...sampleData827, ...sampleData828];
+// 内置卡片是英→中的，只给同样语言的词库补干扰项，否则会混进别的语言的选项
+// 不用时返回同一个空数组，练习会话不会因此重建
+const NO_FALLBACK: Card[] = [];
+function builtinFallback(langs: DeckLanguages[]): Card[] {
+  const same = (a: string, b: string) => baseLang(a) === baseLang(b);
+  return langs.every((l) => same(l.target, DEFAULT_LANGUAGES.target) && same(l.gloss, DEFAULT_LANGUAGES.gloss)) ? builtinCards : NO_FALLBACK;
+}
+
+// 内置词库与上传的词库一样出现在词库列表里，id 沿用旧版示例按钮的 7.29 / 8.27 / 8.28
+const BUILTIN_DECKS: Deck[] = [
+  { id: "7.29", name: "7.29 词义/听力", cards: sampleData729, builtin: true, createdAt: 0 },
+  { id: "8.27", name: "8.27 词义/读音", cards: sampleData827, builtin: true, createdAt: 0 },
+  { id: "8.28", name: "8.28 词义/读音", cards: sampleData828, builtin: true, createdAt: 0 },
+];
+
 // 8.28 用法题（精选 28 题）
 const usageData: UsageItem[] = [
   // soak / soak up
@@ -218,320 +742,1700 @@ const usageData: UsageItem[] = [
   { q: "The process unfolds ___.", options: ["in seven stages", "by seven stages", "with seven stages", "at seven stages"], answer: 0, explain: "in + number + stages。" }
 ];
 
+// ===== Exam =====
+const EXAM_HISTORY_LIMIT = 50;
+const DEFAULT_EXAM: ExamSettings = { count: 20, minutes: 10, modes: EXAM_MODES };
+const DEFAULT_WORKSHEET: WorksheetSettings = { kinds: WORKSHEET_KINDS, count: 10, shuffle: true };
+function examRecord(s: QuizSession, settings: ExamSettings, startedAt: number, now = Date.now(), timedOut = false): ExamRecord {
+  const results = s.items.map((item) => {
+    const mode = item.mode ?? s.mode;
+    const o = s.results.find((r) => r.key === item.key && r.mode === mode);
+    return { mode, ...describeItem(item, mode, s.lang), given: o?.given, correct: !!o?.correct, answered: !!o, ms: o?.ms ?? 0 };
+  });
+  return { at: startedAt, settings, duration: now - startedAt, results, ...(timedOut ? { timedOut } : {}) };
+}
+function formatClock(ms: number) {
+  const sec = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+}
+
+// ===== Keyboard =====
+// 快捷键说明，帮助浮层和题目下方的提示共用
+const SHORTCUTS: [string, MessageKey][] = [
+  ["1–4", "shortcuts.choose"],
+  ["Enter", "shortcuts.enter"],
+  ["Space", "shortcuts.space"],
+  ["R", "shortcuts.reveal"],
+  ["P", "shortcuts.replay"],
+  ["U", "shortcuts.undo"],
+  ["Esc", "shortcuts.escape"],
+  ["?", "shortcuts.help"],
+];
+// 焦点在文字输入框、下拉框等可编辑控件里时，按键交给控件自己处理；复选框、滑块不算，快捷键照常可用
+const TEXT_INPUT_TYPES = ["text", "search", "number", "email", "url", "tel", "password"];
+function isTyping(target: EventTarget | null) {
+  if (target instanceof HTMLInputElement) return TEXT_INPUT_TYPES.includes(target.type);
+  return target instanceof HTMLElement && (target.isContentEditable || ["TEXTAREA", "SELECT"].includes(target.tagName));
+}
+
+// ===== Help =====
+// 页脚使用说明的条目顺序
+const HELP_ITEMS: MessageKey[] = [
+  "help.upload", "help.spelling", "help.dictation", "help.speaking", "help.listening", "help.crossModes", "help.lint", "help.library",
+  "help.usage", "help.uploadUsage", "help.mistakes", "help.export", "help.stats", "help.exam", "help.worksheet", "help.senses", "help.cloze",
+  "help.textImport", "help.keyboard", "help.languages", "help.srs",
+];
+// 说明文字里 `…` 包住的部分显示为代码
+function withCode(text: string) {
+  return text.split("`").map((part, i) => (i % 2 ? <code key={i}>{part}</code> : part));
+}
+
 // ===== Component =====
-export default function QuizGPTFlashcards() {
-  const [cards, setCards] = React.useState<Card[]>(sampleData729);
+export default function QuizGPTFlashcards({ speech = webSpeech, recognition = webRecognition }: { speech?: SpeechEngine; recognition?: RecognitionAdapter } = {}) {
+  const [locale, setLocale] = usePersistentState<Locale>("locale", detectLocale());
+  const t = React.useMemo(() => translator(locale), [locale]);
+  const [userDecks, setUserDecks] = usePersistentState<Deck[]>("decks", []);
+  const [activeDecks, setActiveDecks] = usePersistentState<string[]>("activeDecks", ["7.29"]);
+  // 用户给卡片打的标签，按 deck + term 保存，内置词库也能打标签
+  const [cardTags, setCardTags] = usePersistentState<Record<string, string[]>>("cardTags", {});
+  const [tagFilter, setTagFilter] = usePersistentState<string[]>("tagFilter", []);
+  const [dedupe, setDedupe] = usePersistentState("dedupe", true);
+  // 内置词库在数据检查里修正后的版本，按 id 覆盖原数据
+  const [builtinEdits, setBuiltinEdits] = usePersistentState<Record<string, Card[]>>("builtinEdits", {});
+  const [lintDeck, setLintDeck] = React.useState<Deck | null>(null);
+  // 正在修改语言的词库 id
+  const [langDeck, setLangDeck] = React.useState<string | null>(null);
+  // 当前练习顺序（已按开关打乱）
+  const [entries, setEntries] = React.useState<DeckEntry[]>([]);
   const [mode, setMode] = React.useState<Mode | null>(null);
-  const [current, setCurrent] = React.useState<number>(0);
-  const [options, setOptions] = React.useState<Option[]>([]);
-  const [reveal, setReveal] = React.useState(false);
+  // 出题、判分都交给练习引擎；sessionRef 保存最新会话，异步回调（语音识别）里也不会读到旧值
+  const [session, setSession] = React.useState<QuizSession | null>(null);
+  const sessionRef = React.useRef<QuizSession | null>(null);
+  // 再次点击同一模式时从头开始
+  const [round, setRound] = React.useState(0);
+  // 考试进行中：设置、开始时间和截止时间（不限时为 undefined）
+  const [exam, setExam] = React.useState<{ settings: ExamSettings; startedAt: number; deadline?: number } | null>(null);
+  const [examSettings, setExamSettings] = usePersistentState<ExamSettings>("examSettings", DEFAULT_EXAM);
+  const [examHistory, setExamHistory] = usePersistentState<ExamRecord[]>("examHistory", []);
+  const [examReport, setExamReport] = React.useState<ExamRecord | null>(null);
+  const [worksheetSettings, setWorksheetSettings] = usePersistentState<WorksheetSettings>("worksheetSettings", DEFAULT_WORKSHEET);
+  // 练习卷来源："current"、"mistakes" 或词库 id
+  const [worksheetSource, setWorksheetSource] = React.useState("current");
+  const [worksheet, setWorksheet] = React.useState<Worksheet | null>(null);
+  const [clock, setClock] = React.useState(() => Date.now());
   const [input, setInput] = React.useState("");
-  const [correctCount, setCorrectCount] = React.useState(0);
-  const [attempted, setAttempted] = React.useState(0);
-  const [mistakes, setMistakes] = React.useState<Card[]>([]);
+  const [recording, setRecording] = React.useState(false);
+  const [speakError, setSpeakError] = React.useState("");
+  // 题目切换后丢弃上一题迟到的识别结果
+  const speakToken = React.useRef(0);
   const [shuffleOn, setShuffleOn] = React.useState(true);
+  const [bySense, setBySense] = usePersistentState("bySense", true);
+  const [reviews, setReviews] = usePersistentState<ReviewBook>("reviews", {});
+  const [reviewOnly, setReviewOnly] = usePersistentState("reviewOnly", false);
+  const [mistakes, setMistakes] = usePersistentState<MistakeBook>("mistakes", {});
+  const [clearAfter, setClearAfter] = usePersistentState("mistakeClearAfter", 3);
+  const [mistakeQuery, setMistakeQuery] = React.useState("");
+  const [mistakePage, setMistakePage] = React.useState(0);
+  // 错题重练时的题目快照；为 null 表示练习当前词库
+  const [retrySet, setRetrySet] = React.useState<MistakeEntry[] | null>(null);
+  const [customUsage, setCustomUsage] = usePersistentState<UsageItem[]>("customUsage", []);
+  const [usageSource, setUsageSource] = usePersistentState<UsageSource>("usageSource", "builtin");
+  const [answerLog, setAnswerLog] = usePersistentState<AnswerLog[]>("answerLog", []);
+  const [showStats, setShowStats] = React.useState(false);
+  // 有数据没能写入 localStorage 时显示提示，直到用户关闭
+  const [storageFull, setStorageFull] = React.useState(false);
+  const [showHelp, setShowHelp] = React.useState(false);
+  // 最近一次作答前的会话、排期和错题记录，用于撤销；换会话或考试中为 null
+  const [undo, setUndo] = React.useState<{ before: QuizSession; outcome: Outcome; review?: ReviewState; mistake?: MistakeEntry } | null>(null);
+  const inputRef = React.useRef<HTMLInputElement>(null);
+  const [speechSettings, setSpeechSettings] = usePersistentState<SpeechSettings>("speech", DEFAULT_SPEECH);
+  const [voices, setVoices] = React.useState<SpeechVoice[]>(() => speech.voices());
+  const [pendingImport, setPendingImport] = React.useState<{ name: string; wb: XLSX.WorkBook } | null>(null);
+  const [textImport, setTextImport] = React.useState<{ name: string; text: string; format: TextFormat } | null>(null);
+
+  const library = React.useMemo(
+    () => [...BUILTIN_DECKS.map((d) => (builtinEdits[d.id] ? { ...d, cards: builtinEdits[d.id] } : d)), ...userDecks],
+    [userDecks, builtinEdits],
+  );
+  const lintCounts = React.useMemo(() => new Map(library.map((d) => [d.id, lintCards(d.cards, deckLanguages(d).target).length])), [library]);
+  function tagsOf(e: DeckEntry) {
+    return cardTags[reviewKey(e.deck, e.card.term)] ?? e.card.tags ?? [];
+  }
+  const selectedEntries = React.useMemo(
+    () => activeDecks.flatMap((id) => library.find((d) => d.id === id)?.cards.map((card) => ({ card, deck: id })) ?? []),
+    [activeDecks, library],
+  );
+  const duplicates = React.useMemo(() => findDuplicates(selectedEntries), [selectedEntries]);
+  // 本轮的学习语言：取第一个选中词库的；混选不同语言时在词库区提示
+  const activeLanguages = React.useMemo(
+    () => activeDecks.flatMap((id) => { const d = library.find((x) => x.id === id); return d ? [deckLanguages(d)] : []; }),
+    [activeDecks, library],
+  );
+  const targetLangs = React.useMemo(() => [...new Set(activeLanguages.map((l) => l.target))], [activeLanguages]);
+  const fallbackCards = builtinFallback(activeLanguages);
+  const targetLang = targetLangs[0] ?? DEFAULT_LANGUAGES.target;
+  const allTags = React.useMemo(() => [...new Set(selectedEntries.flatMap(tagsOf))].sort(), [selectedEntries, cardTags]);
+  // 只有按标签筛选时，改标签才需要重建本轮卡片
+  const tagDep = tagFilter.length ? cardTags : null;
+  React.useEffect(() => {
+    const seen = new Set<string>();
+    const picked = selectedEntries.filter((e) => {
+      if (tagFilter.length && !tagsOf(e).some((t) => tagFilter.includes(t))) return false;
+      if (!dedupe) return true;
+      const k = termKey(e.card.term);
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+    setEntries(shuffleOn ? shuffle(picked) : picked);
+    setRetrySet(null);
+  }, [selectedEntries, tagFilter, dedupe, tagDep]);
+  const cards = React.useMemo(() => entries.map((e) => e.card), [entries]);
+  // 各模式在本轮卡片中能出的题数
+  const modeCounts = React.useMemo(() => {
+    const items = cards.map((card) => ({ key: "", card }));
+    return Object.fromEntries(MODES.map((m) => [m, items.filter((it) => qualifies(it, m, targetLang)).length])) as Record<Mode, number>;
+  }, [cards, targetLang]);
+
+  const usageBank = React.useMemo(() => {
+    if (customUsage.length === 0 || usageSource === "builtin") return usageData;
+    return usageSource === "custom" ? customUsage : mergeUsage(usageData, customUsage);
+  }, [customUsage, usageSource]);
+  // 本轮题目：错题重练时来自错题快照，否则来自当前词库或用法题库
+  const sessionItems = React.useMemo<QuizItem[]>(() => {
+    if (retrySet) return retrySet.map(mistakeItem);
+    return mode === "usage" ? usageBank.map((u) => ({ key: reviewKey("usage", u.q), usage: u })) : entries.map((e) => ({ key: reviewKey(e.deck, e.card.term), card: e.card }));
+  }, [retrySet, mode, entries, usageBank]);
+  // 错题重练时题目很少，干扰项从错题和当前词库中一起挑
+  const sessionPool = React.useMemo(() => {
+    if (!retrySet) return cards;
+    return [...new Map([...retrySet.flatMap((m) => (m.card ? [m.card] : [])), ...cards].map((c) => [c.term, c])).values()];
+  }, [retrySet, cards]);
+
+  function reviewOf(item: { key: string; sense?: number }) {
+    return mode ? reviews[senseKey(item)]?.[mode] : undefined;
+  }
+  function logAnswer(o: Outcome) {
+    const deck = o.key.slice(0, o.key.lastIndexOf("::"));
+    const entry: AnswerLog = { key: o.key, deck, term: o.term, mode: o.mode, correct: o.correct, ms: o.ms, at: o.at, ...(o.revealed ? { revealed: true } : {}) };
+    setAnswerLog((log) => appendLog(log, entry));
+  }
+  function replaceSession(s: QuizSession | null) {
+    sessionRef.current = s;
+    setSession(s);
+  }
+  // 引擎每道题最多给出一个结果，这里据此更新排期、错题本和答题日志
+  function commit({ session: s, outcome }: Step) {
+    const before = sessionRef.current;
+    replaceSession(s);
+    if (!outcome) return;
+    if (before && !exam) setUndo({ before, outcome, review: reviews[senseKey(outcome)]?.[outcome.mode], mistake: mistakes[senseKey(outcome)] });
+    setReviews((r) => applyReview(r, outcome));
+    setMistakes((b) => applyMistake(b, outcome, clearAfter));
+    logAnswer(outcome);
+  }
 
-  const total = mode === "usage" ? usageData.length : Math.max(1, cards.length);
+  // 撤销上一次作答：回到那道题，并把排期、错题本和答题日志恢复原样
+  // 考试中不能撤销：撤销会用练习会话换掉试卷
+  function undoLast() {
+    if (!undo || exam) return;
+    const { before, outcome: o, review, mistake } = undo;
+    const key = senseKey(o);
+    setUndo(null);
+    replaceSession({ ...before, shownAt: Date.now() });
+    setReviews((r) => {
+      const { [o.mode]: _removed, ...rest } = r[key] ?? {};
+      return { ...r, [key]: review ? { ...rest, [o.mode]: review } : rest };
+    });
+    setMistakes((b) => {
+      const { [key]: _removed, ...rest } = b;
+      return mistake ? { ...rest, [key]: mistake } : rest;
+    });
+    setAnswerLog((log) => log.filter((x) => !(x.key === o.key && x.at === o.at)));
+  }
+
+  function say(text: string, slow = false) {
+    speakWith(speech, speechSettings, text, slow, sessionRef.current?.lang ?? targetLang);
+  }
+
+  function startMode(m: Mode, retry: MistakeEntry[] | null = null) {
+    if (exam && !confirm(t("exam.abandon"))) return;
+    setExam(null);
+    setMode(m);
+    setRetrySet(retry);
+    setRound((r) => r + 1);
+  }
 
-  // Dev sanity check (pseudo test cases)
   React.useEffect(() => {
-    console.log("[Self-test] dataset sizes", {
-      sampleData729: sampleData729.length,
-      sampleData827: sampleData827.length,
-      sampleData828: sampleData828.length,
-      usageData: usageData.length,
-    });
-  }, []);
+    setVoices(speech.voices());
+    return speech.onVoicesChanged(() => setVoices(speech.voices()));
+  }, [speech]);
 
+  // 读屏软件按页面语言朗读界面文字
   React.useEffect(() => {
-    if (!mode) return;
+    document.documentElement.lang = locale === "zh" ? "zh-CN" : "en";
+  }, [locale]);
 
-    if (mode === "usage") {
-      const u = usageData[current];
-      const opts: Option[] = u?.options.slice(0, 4).map((label, i) => ({ key: String.fromCharCode(65 + i), label, correct: i === u.answer })) || [];
-      setOptions(opts);
-      setReveal(false); setInput("");
-      return;
+  // 切换模式/词库/复习开关时重建会话；答题过程中不重建，避免题目位置跳动
+  // 考试期间不动试卷；交卷后回到原来的练习
+  React.useEffect(() => {
+    if (exam) return;
+    setUndo(null);
+    if (!mode) { replaceSession(null); return; }
+    const now = Date.now();
+    // 按义项出题时每个义项单独排期，先拆开再筛到期
+    const items = reviewOnly ? expandSenses(sessionItems, mode, bySense).filter((it) => isDue(reviewOf(it), now)) : sessionItems;
+    replaceSession(createSession(items, mode, { pool: sessionPool, fallback: fallbackCards, bySense, lang: targetLang }, now));
+  }, [mode, sessionItems, sessionPool, fallbackCards, reviewOnly, bySense, targetLang, round, exam]);
+
+  // 换题时清空输入和识别状态，听力/听写自动朗读
+  const question = session?.question ?? null;
+  // 当前题目的模式：考试混合多种题型，以题目自己的为准
+  const qMode = question?.mode ?? mode;
+  React.useEffect(() => {
+    setInput(""); setSpeakError("");
+    speakToken.current += 1;
+    if (recording) { recognition.stop(); setRecording(false); }
+    if ((qMode === "listening" || qMode === "dictation" || qMode === "audio2ipa") && question?.card?.term) say(question.card.term);
+    // 拼写题始终把焦点放回输入框
+    if (question && isSpellingMode(question.mode)) inputRef.current?.focus();
+  }, [question]);
+
+  // 考试：从当前词库和用法题库里按设置抽题
+  function startExam() {
+    const items: QuizItem[] = [
+      ...entries.map((e) => ({ key: reviewKey(e.deck, e.card.term), card: e.card })),
+      ...usageBank.map((u) => ({ key: reviewKey("usage", u.q), usage: u })),
+    ];
+    const paper = createExam(items, examSettings, { pool: cards, fallback: fallbackCards, lang: targetLang });
+    if (!paper.items.length) { alert(t("exam.noItems")); return; }
+    const now = Date.now();
+    replaceSession(paper);
+    setUndo(null);
+    setExam({ settings: examSettings, startedAt: now, deadline: examSettings.minutes > 0 ? now + examSettings.minutes * 60 * 1000 : undefined });
+    setExamReport(null);
+    setClock(now);
+  }
+  // 打印练习卷：用法题来自用法题库，错题本则只用错题（含错过的用法题）
+  function makeWorksheet() {
+    const deck = worksheetSource === "current" || worksheetSource === "mistakes" ? undefined : library.find((d) => d.id === worksheetSource);
+    const fromMistakes = worksheetSource === "mistakes";
+    const cardItems: QuizItem[] = fromMistakes
+      ? Object.values(mistakes).map(mistakeItem)
+      : deck
+        ? deck.cards.map((card) => ({ key: reviewKey(deck.id, card.term), card }))
+        : entries.map((e) => ({ key: reviewKey(e.deck, e.card.term), card: e.card }));
+    const items = fromMistakes ? cardItems : [...cardItems, ...usageBank.map((u) => ({ key: reviewKey("usage", u.q), usage: u }))];
+    // 错题很少时干扰项不够，和错题重练一样从当前词库补
+    const pool = fromMistakes ? [...new Map([...cardItems.flatMap((it) => (it.card ? [it.card] : [])), ...cards].map((c) => [c.term, c])).values()] : undefined;
+    const langs = deck ? [deckLanguages(deck)] : activeLanguages;
+    const sections = createWorksheet(items, worksheetSettings, { pool, fallback: builtinFallback(langs), lang: langs[0]?.target ?? targetLang });
+    if (!sections.length) { alert(t("worksheet.empty")); return; }
+    const deckNames = activeDecks.map((id) => library.find((d) => d.id === id)?.name).filter(Boolean).join(" + ");
+    const title = deck ? deck.name : fromMistakes ? t("worksheet.mistakes") : `${deckNames}${tagFilter.length ? ` #${tagFilter.join(" #")}` : ""}`;
+    setWorksheet({ title, sections });
+  }
+  function finishExam(timedOut = false) {
+    const s = sessionRef.current;
+    if (!exam || !s) return;
+    const record = examRecord(finishSession(s), exam.settings, exam.startedAt, Date.now(), timedOut);
+    setExamHistory((h) => [record, ...h].slice(0, EXAM_HISTORY_LIMIT));
+    setExamReport(record);
+    setExam(null);
+  }
+  React.useEffect(() => {
+    if (!exam) return;
+    const id = window.setInterval(() => setClock(Date.now()), 1000);
+    return () => window.clearInterval(id);
+  }, [exam]);
+  React.useEffect(() => {
+    if (exam?.deadline && clock >= exam.deadline) finishExam(true);
+  }, [clock]);
+
+  // 上传的词表存进词库并单独选中；同名词库会被覆盖
+  function saveDeck(parsed: Card[], name: string, langs: DeckLanguages) {
+    if (userDecks.some((d) => d.name === name) && !confirm(t("deck.overwrite", { name }))) return;
+    const { decks, id } = upsertDeck(userDecks, name, parsed, langs);
+    setUserDecks(decks);
+    setActiveDecks([id]);
+  }
+  function toggleDeck(id: string) {
+    setActiveDecks((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+  function renameDeck(deck: Deck) {
+    const name = prompt(t("deck.renamePrompt"), deck.name)?.trim();
+    if (!name || name === deck.name) return;
+    if (library.some((d) => d.name === name)) { alert(t("deck.nameTaken")); return; }
+    setUserDecks((prev) => prev.map((d) => (d.id === deck.id ? { ...d, name } : d)));
+  }
+  function setDeckLanguages(deck: Deck, langs: DeckLanguages) {
+    setUserDecks((prev) => prev.map((d) => (d.id === deck.id ? { ...d, ...langs } : d)));
+  }
+  function deleteDeck(deck: Deck) {
+    if (!confirm(t("deck.deleteConfirm", { name: deck.name }))) return;
+    setUserDecks((prev) => prev.filter((d) => d.id !== deck.id));
+    setActiveDecks((prev) => prev.filter((x) => x !== deck.id));
+  }
+  function saveLintFixes(deck: Deck, fixed: Card[]) {
+    if (deck.builtin) setBuiltinEdits((prev) => ({ ...prev, [deck.id]: fixed }));
+    else setUserDecks((prev) => prev.map((d) => (d.id === deck.id ? { ...d, cards: fixed } : d)));
+    setLintDeck(null);
+  }
+  function resetBuiltin(deck: Deck) {
+    if (!confirm(t("deck.resetConfirm", { name: deck.name }))) return;
+    setBuiltinEdits((prev) => { const { [deck.id]: _removed, ...rest } = prev; return rest; });
+  }
+  function exportDeck(deck: Deck, format: ExportFormat) {
+    // 带上用户打的标签
+    const cards = deck.cards.map((card) => {
+      const tags = tagsOf({ card, deck: deck.id });
+      return { ...card, tags: tags.length ? tags : undefined };
+    });
+    exportItems(deck.name, format, cards, [], t, deckLanguages(deck));
+  }
+  function exportMistakes(format: ExportFormat) {
+    const list = Object.values(mistakes);
+    exportItems(t("deck.mistakesFile", { date: dayKey(Date.now()) }), format, list.flatMap((m) => (m.card ? [m.card] : [])), list.flatMap((m) => (m.usage ? [m.usage] : [])), t);
+  }
+  async function handleRestore(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file || !confirm(t("backup.restoreConfirm"))) return;
+    try {
+      const n = restoreBackup(await file.text(), t);
+      alert(t("backup.restored", { n }));
+      window.location.reload();
+    } catch (err) {
+      console.error(err);
+      alert(t("backup.restoreFailed", { error: err instanceof Error ? err.message : String(err) }));
     }
+  }
+  function editTags(key: string, current: string[]) {
+    const text = prompt(t("tags.prompt"), current.join(", "));
+    if (text == null) return;
+    const tags = [...new Set(text.split(/[,，;；\s]+/).filter(Boolean))];
+    setCardTags((prev) => ({ ...prev, [key]: tags }));
+  }
+
+  function importUsage(items: UsageItem[], errors: string[]) {
+    setCustomUsage((prev) => mergeUsage(prev, items));
+    if (usageSource === "builtin") setUsageSource("both");
+    const skipped = errors.length ? `\n${t("usage.skipped", { n: errors.length })}\n${errors.slice(0, 10).join("\n")}${errors.length > 10 ? "\n…" : ""}` : "";
+    alert(`${t("usage.imported", { n: items.length })}${skipped}`);
+  }
 
-    if (cards.length === 0) return;
-    const card = cards[current];
-    if (!card) return;
-
-    if (mode === "eng2cn" || mode === "listening") {
-      const distractors = pickDistractors(cards, 3, (c) => c === card || !c.cn).filter((d) => !!d.cn);
-      const opts: Option[] = [
-        { key: "A", label: card.cn || "（无中文释义）", correct: true },
-        ...distractors.map((d, i) => ({ key: String.fromCharCode(66 + i), label: d.cn || "", correct: false })),
-      ];
-      setOptions(shuffle(opts));
-      setReveal(false); setInput("");
-      if (mode === "listening" && card.term) speak(card.term);
-    } else if (mode === "ipa") {
-      // IPA 选择题：给英文词，选正确的音标
-      const candidates = cards.filter((c) => !!c.ipa && c !== card);
-      const distract = shuffle(candidates).slice(0, 3);
-      const opts: Option[] = shuffle([
-        { key: "A", label: card.ipa || "（无音标）", correct: true },
-        ...distract.map((d, i) => ({ key: String.fromCharCode(66 + i), label: d.ipa || "", correct: false })),
-      ]);
-      setOptions(opts); setReveal(false); setInput("");
-    } else if (mode === "cn2eng") {
-      setOptions([]); setReveal(false); setInput("");
+  // 表格先读入工作簿，由导入对话框选择工作表和列映射；JSON 和文本文件交给文本导入对话框
+  async function handleFile(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const name = file.name.replace(/\.[^.]+$/, "");
+    if (/\.(json|txt|tsv)$/i.test(file.name)) {
+      const text = await file.text();
+      setTextImport({ name, text, format: guessTextFormat(file.name, text) });
+      return;
     }
-  }, [mode, current, cards]);
-
-  function lengthForMode() { return mode === "usage" ? usageData.length : cards.length; }
-
-  function loadFromSheet(sheet: XLSX.WorkSheet) {
-    const rows: any[][] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-    const parsed: Card[] = [];
-    for (const r of rows) {
-      if (!r) continue;
-      const a = (r[0] ?? "").toString().trim();
-      const b = (r[1] ?? "").toString().trim();
-      const c = (r[2] ?? "").toString().trim(); // 第三列尝试作为 IPA
-      if (!a) continue;
-      const isHeader = /\b(parcel|word|english|term)\b/i.test(a) || /中文|释义|meaning|IPA|音标/i.test(b + " " + c);
-      if (isHeader) continue;
-      parsed.push({ term: a, cn: b || undefined, ipa: c || undefined });
+    const data = await file.arrayBuffer();
+    try {
+      const wb = XLSX.read(data, { type: "array" });
+      setPendingImport({ name, wb });
+    } catch (err) {
+      console.error(err);
+      alert(t("import.readFailed"));
     }
-    if (parsed.length === 0) return false;
-    const dataset = shuffleOn ? shuffle(parsed) : parsed;
-    setCards(dataset); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]);
-    return true;
   }
 
-  async function handleFile(e: React.ChangeEvent<HTMLInputElement>) {
+  function confirmImport(result: ImportResult) {
+    setPendingImport(null);
+    setTextImport(null);
+    if (result.cards.length) saveDeck(result.cards, result.name, result.langs);
+    if (result.usage.length) importUsage(result.usage, result.usageErrors);
+  }
+
+  async function handleUsageFile(e: React.ChangeEvent<HTMLInputElement>) {
     const file = e.target.files?.[0];
+    e.target.value = "";
     if (!file) return;
     const data = await file.arrayBuffer();
     try {
       const wb = XLSX.read(data, { type: "array" });
-      const first = wb.SheetNames[0];
-      const sheet = wb.Sheets[first];
-      const ok = loadFromSheet(sheet);
-      if (!ok) alert("解析失败：请确认前2-3列为 英文/中文/[可选IPA] 。");
+      const items: UsageItem[] = [];
+      const errors: string[] = [];
+      for (const name of wb.SheetNames) {
+        const parsed = parseUsageRows(XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1 }), t);
+        items.push(...parsed.items);
+        errors.push(...parsed.errors.map((err) => (wb.SheetNames.length > 1 ? `[${name}] ${err}` : err)));
+      }
+      if (items.length) importUsage(items, errors);
+      else alert(`${t("usage.parseFailed")}${errors.length ? `\n${errors.slice(0, 10).join("\n")}` : ""}`);
     } catch (err) {
       console.error(err);
-      alert("读取文件失败，请上传 .xlsx/.xls/.csv");
+      alert(t("usage.readFailed"));
     }
   }
 
   function next() {
-    const len = lengthForMode();
-    const nextIndex = (current + 1) % (len || 1);
-    setCurrent(nextIndex);
-  }
-
-  function onAnswer(option?: Option) {
-    let isCorrect = false;
-
-    if (mode === "eng2cn" || mode === "listening" || mode === "usage" || mode === "ipa") {
-      if (!option) return;
-      isCorrect = option.correct;
-    } else if (mode === "cn2eng") {
-      const card = cards[current];
-      const expected = card.term.trim().toLowerCase();
-      const ans = input.trim().toLowerCase();
-      isCorrect = ans === expected;
-    }
+    const s = sessionRef.current;
+    if (!s) return;
+    const n = nextQuestion(s);
+    replaceSession(n);
+    if (n.finished) finishExam();
+  }
 
-    setAttempted((v) => v + 1);
-    if (isCorrect) setCorrectCount((v) => v + 1);
-    else {
-      if (mode === "usage") {
-        const u = usageData[current];
-        setMistakes((m) => [...m, { term: u?.q || "", cn: u ? u.options[u.answer] : "" }]);
-      } else {
-        const c = cards[current];
-        setMistakes((m) => [...m, { term: c?.term || "", cn: c?.cn ? `${c.cn}${c.ipa ? ` ${c.ipa}` : ""}` : (c?.ipa || "") }]);
-      }
+  function answer(a: Answer) {
+    const s = sessionRef.current;
+    if (!s) return;
+    const step = submitAnswer(s, a);
+    commit(step);
+    // 考试中不显示对错，作答后直接进入下一题
+    if (exam && step.outcome) next();
+  }
+
+  // 跟读：识别一次，交给引擎判定；通过或用完尝试次数后计分
+  async function listenOnce() {
+    const s = sessionRef.current;
+    if (!s?.question?.card || s.revealed || recording) return;
+    const token = speakToken.current;
+    setRecording(true); setSpeakError("");
+    try {
+      const heard = await recognition.listen(speechLang(speechSettings, s.lang));
+      if (token === speakToken.current) answer({ heard });
+    } catch (err) {
+      if (token === speakToken.current) setSpeakError(err instanceof Error ? err.message : String(err));
+    } finally {
+      if (token === speakToken.current) setRecording(false);
     }
-    setReveal(true);
+  }
+
+  function revealAnswer() {
+    if (sessionRef.current) commit(revealSession(sessionRef.current));
+  }
+
+  function replay() {
+    const term = sessionRef.current?.question?.card?.term;
+    if (term) say(term);
   }
 
   // Keyboard shortcuts
   React.useEffect(() => {
     function onKey(e: KeyboardEvent) {
-      if (!mode) return;
-      if (mode === "eng2cn" || mode === "listening" || mode === "usage" || mode === "ipa") {
-        const map: Record<string, number> = { "1": 0, "2": 1, "3": 2, "4": 3 };
-        if (map[e.key] != null) {
-          const idx = map[e.key];
-          const opt = options[idx];
-          if (opt) onAnswer(opt);
-        }
-      } else if (mode === "cn2eng") {
-        if (e.key === "Enter") onAnswer();
+      // 输入框自己处理回车，避免同一次按键提交两遍；正在打字时其他快捷键也不触发
+      if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+      if (showHelp) {
+        if (e.key === "Escape" || e.key === "?") setShowHelp(false);
+        return;
       }
+      if (worksheet) {
+        if (e.key === "Escape") setWorksheet(null);
+        return;
+      }
+      if (e.key === "?") { setShowHelp(true); return; }
+      if (!session || pendingImport || textImport || lintDeck) return;
+      // 按钮、复选框自己响应回车和空格
+      if ((e.key === "Enter" || e.key === " ") && (e.target instanceof HTMLButtonElement || e.target instanceof HTMLInputElement)) return;
+      const key = e.key.toLowerCase();
+      if (session.revealed && (key === "enter" || key === " ")) { e.preventDefault(); next(); return; }
+      if (key === "r" && !exam) { revealAnswer(); return; }
+      if (key === "p") { replay(); return; }
+      if (key === "u") { undoLast(); return; }
+      const a = shortcutAnswer(session, e.key, input);
+      if (a) answer(a);
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [mode, options, input, current]);
+  }, [session, input, showHelp, undo, exam, pendingImport, textImport, lintDeck, worksheet]);
+
+  React.useEffect(() => {
+    const onError = () => setStorageFull(true);
+    window.addEventListener(STORAGE_ERROR_EVENT, onError);
+    return () => window.removeEventListener(STORAGE_ERROR_EVENT, onError);
+  }, []);
 
-  const card = cards[current];
+  const reveal = !!session?.revealed;
+  const options = question?.options ?? [];
+  const grade = session?.outcome?.grade ?? null;
+  const speakTries = session?.speakTries ?? [];
+  const card = qMode === "usage" ? undefined : question?.card;
+  // 按义项出题时本题问的那个义项
+  const sense = card && question ? itemSense(question) : undefined;
+  const cloze = card && session && (qMode === "cloze" || qMode === "clozeChoice") ? clozeOf(card, session.lang) : null;
+  // 读屏软件播报作答结果；颜色之外也用 ✓/✗ 文字标出对错
+  const outcome = session?.outcome ?? null;
+  const chosen = outcome && !outcome.revealed ? outcome.given : undefined;
+  const solution = question && session ? describeItem(question, question.mode, session.lang).answer : "";
+  const announcement = !reveal ? "" : t(!outcome || outcome.revealed ? "quiz.announceAnswer" : outcome.correct ? "quiz.announceCorrect" : "quiz.announceWrong", { answer: solution });
+  const usage = qMode === "usage" ? question?.usage : undefined;
+  const review = question ? reviewOf(question) : undefined;
+  const cardKey = card ? question?.key : undefined;
+  const cardTagList = cardKey ? cardTags[cardKey] ?? card?.tags ?? [] : [];
+  const dueCount = session ? session.items.filter((it) => isDue(reviewOf(it))).length : 0;
+  const current = session?.position ?? 0;
+  const total = Math.max(1, session?.items.length ?? 0);
+  const attempted = session?.attempted ?? 0;
+  const correctCount = session?.correct ?? 0;
+
+  const mistakeList = Object.values(mistakes)
+    .filter((m) => mistakeMatches(m, mistakeQuery))
+    .sort((a, b) => b.lastMissed - a.lastMissed);
+  const mistakePages = Math.max(1, Math.ceil(mistakeList.length / MISTAKE_PAGE_SIZE));
+  // 移除条目后页数可能变少，这里夹住页码
+  const page = Math.min(mistakePage, mistakePages - 1);
+  const mistakePageItems = mistakeList.slice(page * MISTAKE_PAGE_SIZE, (page + 1) * MISTAKE_PAGE_SIZE);
+  const mistakeCount = Object.keys(mistakes).length;
   const accuracy = attempted ? Math.round((correctCount / attempted) * 100) : 100;
 
   // ===== UI =====
   return (
-    <div className="w-full min-h-screen bg-gray-50 text-gray-900 p-6">
-      <div className="max-w-4xl mx-auto">
-        <header className="mb-6 flex items-center justify-between gap-4">
-          <h1 className="text-2xl md:text-3xl font-semibold">QuizGPT · Flashcards</h1>
-          <div className="flex flex-wrap items-center gap-2">
-            <label className="px-3 py-2 rounded-xl border bg-white shadow-sm cursor-pointer">
-              <input type="file" accept=".xlsx,.xls,.csv" className="hidden" onChange={handleFile} />
-              上传词表（英文/中文/可选IPA）
-            </label>
-            <button className="px-3 py-2 rounded-xl border bg-white shadow-sm" onClick={() => { setCards(shuffleOn ? shuffle(sampleData729) : sampleData729); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]); }}>使用示例（7.29 词义/听力）</button>
-            <button className="px-3 py-2 rounded-xl border bg-white shadow-sm" onClick={() => { setCards(shuffleOn ? shuffle(sampleData827) : sampleData827); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]); }}>使用示例（8.27 词义/读音）</button>
-            <button className="px-3 py-2 rounded-xl border bg-white shadow-sm" onClick={() => { setMode("usage"); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]); }}>使用示例（用法题）</button>
-            <button className="px-3 py-2 rounded-xl border bg-white shadow-sm" onClick={() => { setCards(shuffleOn ? shuffle(sampleData828) : sampleData828); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]); }}>使用示例（8.28 词义/读音）</button>
-          </div>
-        </header>
-
-        <section className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-3">
-          <div className="p-4 rounded-2xl bg-white shadow-sm border">
-            <div className="text-xs text-gray-500 mb-1">模式</div>
-            <div className="flex flex-wrap gap-2">
-              <button className={`px-3 py-1.5 rounded-full border ${mode === "eng2cn" ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => { setMode("eng2cn"); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]);} }>英 → 中</button>
-              <button className={`px-3 py-1.5 rounded-full border ${mode === "cn2eng" ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => { setMode("cn2eng"); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]);} }>中 → 英（拼写）</button>
-              <button className={`px-3 py-1.5 rounded-full border ${mode === "listening" ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => { setMode("listening"); if (cards[current]?.term) speak(cards[current].term); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]);} }>听力（TTS）</button>
-              <button className={`px-3 py-1.5 rounded-full border ${mode === "ipa" ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => { setMode("ipa"); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]);} }>发音（选音标）</button>
-              <button className={`px-3 py-1.5 rounded-full border ${mode === "usage" ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => { setMode("usage"); setCurrent(0); setAttempted(0); setCorrectCount(0); setMistakes([]);} }>用法（句子）</button>
+    <LocaleContext.Provider value={t}>
+      <div className={`w-full min-h-screen bg-gray-50 text-gray-900 p-6 ${worksheet ? "print:hidden" : ""}`}>
+        <div className="max-w-4xl mx-auto">
+          <header className="mb-6 flex items-center justify-between gap-4">
+            <h1 className="text-2xl md:text-3xl font-semibold">QuizGPT · Flashcards</h1>
+            <div className="flex flex-wrap items-center gap-2">
+              <label className="px-3 py-2 rounded-xl border bg-white shadow-sm cursor-pointer">
+                <input type="file" accept=".xlsx,.xls,.csv,.json,.txt,.tsv" className="hidden" onChange={handleFile} />
+                {t("header.upload")}
+              </label>
+              <button className="px-3 py-2 rounded-xl border bg-white shadow-sm" onClick={() => setTextImport({ name: "", text: "", format: "list" })}>{t("header.paste")}</button>
+              <label className="px-3 py-2 rounded-xl border bg-white shadow-sm cursor-pointer">
+                <input type="file" accept=".xlsx,.xls,.csv" className="hidden" onChange={handleUsageFile} />
+                {t("header.uploadUsage")}
+              </label>
+              <button className="px-3 py-2 rounded-xl border bg-white shadow-sm" onClick={() => downloadText(`quizgpt-backup-${dayKey(Date.now())}.json`, JSON.stringify(collectBackup(), null, 2), "application/json")}>{t("header.backup")}</button>
+              <label className="px-3 py-2 rounded-xl border bg-white shadow-sm cursor-pointer">
+                <input type="file" accept=".json" className="hidden" onChange={handleRestore} />
+                {t("header.restore")}
+              </label>
+              <button aria-pressed={showStats} disabled={!!exam} className={`px-3 py-2 rounded-xl border shadow-sm disabled:opacity-40 ${showStats ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => setShowStats((v) => !v)}>{t("header.stats")}</button>
+              <select aria-label={t("header.language")} value={locale} onChange={(e) => setLocale(e.target.value as Locale)} className="px-2 py-2 rounded-xl border bg-white shadow-sm">
+                {(Object.keys(LOCALES) as Locale[]).map((l) => <option key={l} value={l}>{LOCALES[l]}</option>)}
+              </select>
             </div>
-          </div>
+          </header>
 
-          <div className="p-4 rounded-2xl bg-white shadow-sm border">
-            <div className="text-xs text-gray-500 mb-1">进度</div>
-            <div className="text-sm">{current + 1} / {total}</div>
-            <div className="mt-2 w-full h-2 bg-gray-100 rounded-full overflow-hidden">
-              <div className="h-full bg-gray-900" style={{ width: `${((current + 1) / total) * 100}%` }} />
+          {storageFull && (
+            <div role="alert" className="mb-4 p-3 rounded-2xl border border-amber-300 bg-amber-50 text-sm text-amber-800 flex items-start justify-between gap-2">
+              <span>{t("storage.full")}</span>
+              <button className="shrink-0 underline" onClick={() => setStorageFull(false)}>{t("common.close")}</button>
             </div>
-          </div>
+          )}
 
-          <div className="p-4 rounded-2xl bg-white shadow-sm border">
-            <div className="text-xs text-gray-500 mb-1">得分</div>
-            <div className="text-sm">正确 {correctCount} / 尝试 {attempted}（准确率 {accuracy}%）</div>
-            <div className="mt-2 flex items-center gap-3">
-              <label className="flex items-center gap-2 text-sm">
-                <input type="checkbox" checked={shuffleOn} onChange={(e) => setShuffleOn(e.target.checked)} /> 随机顺序
-              </label>
-              <button className="px-3 py-1.5 rounded-full border" onClick={() => { const arr = shuffleOn ? shuffle(cards) : [...cards]; setCards(arr); setCurrent(0); }}>重排卡片</button>
+          <section className="mb-4 p-4 rounded-2xl bg-white shadow-sm border">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <div className="text-xs text-gray-500">{t("library.title")}</div>
+              <div className="text-sm text-gray-500">{t("library.summary", { decks: activeDecks.length, cards: entries.length })}</div>
             </div>
-          </div>
-        </section>
-
-        {/* QUIZ CARD */}
-        <main className="rounded-3xl bg-white border shadow-sm p-6 md:p-8">
-          {!mode ? (
-            <div className="text-center text-gray-600">选择一个模式开始：英→中 / 中→英 / 听力 / 发音（音标） / 用法（句子）。</div>
-          ) : (
-            <div className="space-y-6">
-              <div className="text-sm text-gray-500">当前题目</div>
-
-              {mode === "usage" ? (
-                <div className="text-xl md:text-2xl font-semibold leading-relaxed">{usageData[current]?.q || ""}</div>
-              ) : mode === "eng2cn" || mode === "listening" || mode === "ipa" ? (
-                <div className="flex items-center gap-3">
-                  <div className="text-2xl md:text-3xl font-semibold">{card?.term || ""}</div>
-                  {mode === "listening" && (
-                    <button className="px-3 py-1.5 rounded-full border" onClick={() => speak(card?.term || "")}>▶ 朗读</button>
+            <div className="grid md:grid-cols-2 gap-2">
+              {library.map((d) => (
+                <div key={d.id} className="px-3 py-2 rounded-xl border bg-gray-50 flex flex-wrap items-center justify-between gap-2 text-sm">
+                  <label className="flex items-center gap-2 min-w-0">
+                    <input type="checkbox" checked={activeDecks.includes(d.id)} onChange={() => toggleDeck(d.id)} />
+                    <span className="truncate">{d.name}</span>
+                    <span className="shrink-0 text-gray-500">{t("library.words", { n: d.cards.length })}{d.builtin ? t(builtinEdits[d.id] ? "library.builtinEdited" : "library.builtin") : ""}</span>
+                  </label>
+                  <span className="shrink-0 flex items-center gap-2 text-gray-500">
+                    {d.builtin ? (
+                      <span>{t("library.languages", { target: languageName(t, deckLanguages(d).target), gloss: languageName(t, deckLanguages(d).gloss) })}</span>
+                    ) : (
+                      <button className="underline" aria-expanded={langDeck === d.id} onClick={() => setLangDeck(langDeck === d.id ? null : d.id)}>
+                        {t("library.languages", { target: languageName(t, deckLanguages(d).target), gloss: languageName(t, deckLanguages(d).gloss) })}
+                      </button>
+                    )}
+                    {(lintCounts.get(d.id) ?? 0) > 0 && (
+                      <button className="underline text-amber-700" onClick={() => setLintDeck(d)}>{t("library.issues", { n: lintCounts.get(d.id) ?? 0 })}</button>
+                    )}
+                    {d.builtin && builtinEdits[d.id] && <button className="underline" onClick={() => resetBuiltin(d)}>{t("library.reset")}</button>}
+                    <ExportSelect onExport={(format) => exportDeck(d, format)} />
+                    {!d.builtin && (
+                      <>
+                        <button className="underline" onClick={() => renameDeck(d)}>{t("library.rename")}</button>
+                        <button className="underline" onClick={() => deleteDeck(d)}>{t("library.delete")}</button>
+                      </>
+                    )}
+                  </span>
+                  {langDeck === d.id && (
+                    <div className="w-full flex flex-wrap items-center gap-2">
+                      <LanguagePicker value={deckLanguages(d)} onChange={(langs) => setDeckLanguages(d, langs)} />
+                      <button className="underline text-gray-500" onClick={() => setLangDeck(null)}>{t("common.done")}</button>
+                    </div>
                   )}
                 </div>
-              ) : (
-                <div className="text-2xl md:text-3xl font-semibold">{card?.cn || "（无中文释义，直接拼写英文）"}</div>
+              ))}
+            </div>
+            {targetLangs.length > 1 && (
+              <div className="mt-2 text-sm text-amber-700">{t("library.mixedLanguages", { lang: languageName(t, targetLang) })}</div>
+            )}
+            {duplicates.length > 0 && (
+              <div className="mt-2 text-sm text-amber-700">
+                {t("library.duplicates", {
+                  n: duplicates.length,
+                  list: duplicates.slice(0, 8).map((g) => t("library.duplicateItem", { term: g[0].card.term, decks: g.map((e) => library.find((d) => d.id === e.deck)?.name || e.deck).join(" / ") })).join(t("common.listSeparator")),
+                })}
+                {duplicates.length > 8 ? " …" : ""}
+                <label className="ml-2 inline-flex items-center gap-1 text-gray-600">
+                  <input type="checkbox" checked={dedupe} onChange={(e) => setDedupe(e.target.checked)} /> {t("library.dedupe")}
+                </label>
+              </div>
+            )}
+            {allTags.length > 0 && (
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-500">{t("library.tagFilter")}</span>
+                {allTags.map((tag) => (
+                  <button key={tag} aria-pressed={tagFilter.includes(tag)} className={`px-2 py-0.5 rounded-full border ${tagFilter.includes(tag) ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => setTagFilter((prev) => (prev.includes(tag) ? prev.filter((x) => x !== tag) : [...prev, tag]))}>#{tag}</button>
+                ))}
+                {tagFilter.length > 0 && <button className="text-gray-500 underline" onClick={() => setTagFilter([])}>{t("common.clear")}</button>}
+              </div>
+            )}
+          </section>
+
+          <section className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className="p-4 rounded-2xl bg-white shadow-sm border">
+              <div className="text-xs text-gray-500 mb-1">{t("modes.title")}</div>
+              <div className="flex flex-wrap gap-2">
+                {MODES.map((m) => (
+                  <button key={m} aria-pressed={mode === m && !retrySet} className={`px-3 py-1.5 rounded-full border ${mode === m && !retrySet ? "bg-gray-900 text-white" : "bg-white"}`} onClick={() => startMode(m)}>{modeLabel(t, m)}{m !== "usage" && t("modes.count", { n: modeCounts[m] })}</button>
+                ))}
+              </div>
+              {mode && MODE_REQUIRES[mode] && modeCounts[mode] < cards.length && (
+                <div className="mt-2 text-sm text-gray-500">{t("modes.requires", { field: t(MODE_REQUIRES[mode] as MessageKey), n: modeCounts[mode], total: cards.length })}</div>
               )}
-
-              {/* Options or input */}
-              {mode === "eng2cn" || mode === "listening" || mode === "usage" || mode === "ipa" ? (
-                <div className="grid md:grid-cols-2 gap-3">
-                  {options.slice(0, 4).map((opt, idx) => {
-                    const state = reveal ? (opt.correct ? "border-emerald-500 bg-emerald-50" : "border-red-400 bg-red-50") : "";
-                    return (
-                      <button key={idx} className={`text-left px-4 py-3 rounded-2xl border hover:bg-gray-50 ${state}`} onClick={() => onAnswer(opt)} disabled={reveal}>
-                        <div className="text-sm text-gray-500">{idx + 1}</div>
-                        <div className="text-base">{opt.label || "（无中文释义）"}</div>
-                      </button>
-                    );
-                  })}
-                </div>
-              ) : (
-                <div className="flex items-center gap-3">
-                  <input value={input} onChange={(e) => setInput(e.target.value)} placeholder="请输入英文拼写，回车提交" className="w-full md:w-2/3 px-4 py-3 rounded-2xl border focus:outline-none focus:ring-2 focus:ring-gray-900" onKeyDown={(e) => { if (e.key === "Enter") onAnswer(); }} />
-                  <button className="px-4 py-3 rounded-2xl border" onClick={() => onAnswer()}>提交</button>
+              {customUsage.length > 0 && (
+                <div className="mt-2 flex items-center gap-2 text-sm text-gray-500">
+                  {t("usage.bank")}
+                  <select value={usageSource} onChange={(e) => setUsageSource(e.target.value as UsageSource)} className="px-2 py-1 rounded-lg border bg-white">
+                    <option value="builtin">{t("usage.builtin", { n: usageData.length })}</option>
+                    <option value="custom">{t("usage.custom", { n: customUsage.length })}</option>
+                    <option value="both">{t("usage.both")}</option>
+                  </select>
+                  <button className="underline" onClick={() => { if (confirm(t("usage.clearConfirm"))) { setCustomUsage([]); setUsageSource("builtin"); } }}>{t("common.clearAll")}</button>
                 </div>
               )}
+            </div>
 
-              {/* Reveal */}
-              {reveal && (
-                <div className="p-4 rounded-2xl bg-gray-100 border">
-                  <div className="text-sm text-gray-500 mb-1">正确答案</div>
-                  <div className="text-lg space-y-1">
-                    {mode === "usage" ? (
-                      <>
-                        <div className="font-semibold">{usageData[current]?.q}</div>
-                        <div>→ {usageData[current]?.options[usageData[current]?.answer || 0]}</div>
-                        {usageData[current]?.explain && (<div className="text-sm text-gray-600 mt-1">{usageData[current]?.explain}</div>)}
-                      </>
-                    ) : mode === "eng2cn" || mode === "listening" || mode === "ipa" ? (
+            <div className="p-4 rounded-2xl bg-white shadow-sm border">
+              <div className="text-xs text-gray-500 mb-1">{t("progress.title")}</div>
+              <div className="text-sm">{current + 1} / {total}</div>
+              <div className="mt-2 w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-gray-900" style={{ width: `${((current + 1) / total) * 100}%` }} />
+              </div>
+              <div className="mt-2 flex items-center justify-between text-sm">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={reviewOnly} onChange={(e) => setReviewOnly(e.target.checked)} /> {t("progress.reviewOnly")}
+                </label>
+                {session && <span className="text-gray-500">{t("progress.due", { n: dueCount })}</span>}
+              </div>
+            </div>
+
+            <div className="p-4 rounded-2xl bg-white shadow-sm border">
+              <div className="text-xs text-gray-500 mb-1">{t("score.title")}</div>
+              <div className="text-sm">{exam ? t("exam.scoreHidden") : t("score.summary", { correct: correctCount, attempted, accuracy })}</div>
+              <div className="mt-2 flex items-center gap-3">
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={shuffleOn} onChange={(e) => setShuffleOn(e.target.checked)} /> {t("options.shuffle")}
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={bySense} onChange={(e) => setBySense(e.target.checked)} /> {t("options.bySense")}
+                </label>
+                <button className="px-3 py-1.5 rounded-full border" onClick={() => setEntries(shuffleOn ? shuffle(entries) : [...entries])}>{t("options.reshuffle")}</button>
+              </div>
+            </div>
+          </section>
+
+          <details className="mb-4 p-4 rounded-2xl bg-white shadow-sm border">
+            <summary className="text-sm text-gray-500 cursor-pointer">{t("speech.title")}</summary>
+            <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+              <label className="flex items-center gap-2">
+                <span className="w-16 shrink-0 text-gray-600">{t("speech.accent")}</span>
+                <select value={speechSettings.lang} onChange={(e) => setSpeechSettings((v) => ({ ...v, lang: e.target.value as SpeechSettings["lang"], voiceURI: undefined }))} className="w-full px-2 py-1 rounded-lg border bg-white">
+                  <option value="en-GB">{t("speech.british")}</option>
+                  <option value="en-US">{t("speech.american")}</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="w-16 shrink-0 text-gray-600">{t("speech.voice")}</span>
+                <select value={speechSettings.voiceURI || ""} onChange={(e) => setSpeechSettings((v) => ({ ...v, voiceURI: e.target.value || undefined }))} className="w-full px-2 py-1 rounded-lg border bg-white">
+                  <option value="">{t("speech.defaultVoice")}</option>
+                  {voices.filter((v) => v.lang.replace("_", "-").startsWith(speechSettings.lang)).map((v) => (
+                    <option key={v.voiceURI} value={v.voiceURI}>{v.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="w-16 shrink-0 text-gray-600">{t("speech.rate")}</span>
+                <input type="range" min={0.5} max={1.5} step={0.1} value={speechSettings.rate} onChange={(e) => setSpeechSettings((v) => ({ ...v, rate: Number(e.target.value) }))} className="w-full" />
+                <span className="w-10 text-right">{speechSettings.rate.toFixed(1)}×</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="w-16 shrink-0 text-gray-600">{t("speech.repeat")}</span>
+                <select value={speechSettings.repeat} onChange={(e) => setSpeechSettings((v) => ({ ...v, repeat: Number(e.target.value) }))} className="w-full px-2 py-1 rounded-lg border bg-white">
+                  {[1, 2, 3].map((n) => <option key={n} value={n}>{t("speech.times", { n })}</option>)}
+                </select>
+              </label>
+            </div>
+            {baseLang(targetLang) !== "en" && (
+              <div className="mt-2 text-sm text-gray-500">{t("speech.otherLanguage", { lang: languageName(t, targetLang), locale: speechLang(speechSettings, targetLang) })}</div>
+            )}
+            <button className="mt-3 px-3 py-1.5 rounded-full border text-sm" onClick={() => say(card?.term || "Hello, let's practise.")}>{t("speech.test")}</button>
+          </details>
+
+          <details className="mb-4 p-4 rounded-2xl bg-white shadow-sm border">
+            <summary className="text-sm text-gray-500 cursor-pointer">{t("exam.title")}</summary>
+            <div className="mt-3 space-y-3 text-sm">
+              <div className="flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2">
+                  {t("exam.count")}
+                  <input type="number" min={1} max={200} value={examSettings.count} onChange={(e) => setExamSettings((v) => ({ ...v, count: Math.max(1, Number(e.target.value) || 1) }))} className="w-20 px-2 py-1 rounded-lg border" />
+                </label>
+                <label className="flex items-center gap-2">
+                  {t("exam.minutes")}
+                  <input type="number" min={0} max={180} value={examSettings.minutes} onChange={(e) => setExamSettings((v) => ({ ...v, minutes: Math.max(0, Number(e.target.value) || 0) }))} className="w-20 px-2 py-1 rounded-lg border" />
+                  {t("exam.minutesUnit")}
+                </label>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-gray-500">{t("exam.modes")}</span>
+                {EXAM_MODES.map((m) => (
+                  <label key={m} className="flex items-center gap-1 px-2 py-1 rounded-full border">
+                    <input type="checkbox" checked={examSettings.modes.includes(m)} onChange={() => setExamSettings((v) => ({ ...v, modes: v.modes.includes(m) ? v.modes.filter((x) => x !== m) : EXAM_MODES.filter((x) => x === m || v.modes.includes(x)) }))} />
+                    {modeLabel(t, m)}
+                  </label>
+                ))}
+              </div>
+              <button className="px-4 py-2 rounded-2xl border bg-gray-900 text-white disabled:opacity-40" disabled={!!exam || !examSettings.modes.length} onClick={startExam}>{t("exam.start")}</button>
+              {examHistory.length > 0 && (
+                <div>
+                  <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                    <span>{t("exam.history")}</span>
+                    <button className="underline" onClick={() => { if (confirm(t("exam.clearConfirm"))) setExamHistory([]); }}>{t("common.clearAll")}</button>
+                  </div>
+                  {examHistory.slice(0, 10).map((r) => (
+                    <div key={r.at} className="flex justify-between gap-2 py-1 border-b last:border-0">
+                      <span>{new Date(r.at).toLocaleString()}</span>
+                      <span className="text-gray-600">
+                        {t("exam.historyRow", { correct: r.results.filter((x) => x.correct).length, total: r.results.length, time: formatClock(r.duration) })}{r.timedOut ? t("exam.timedOut") : ""}
+                        <button className="ml-2 underline" onClick={() => setExamReport(r)}>{t("common.view")}</button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </details>
+
+          <details className="mb-4 p-4 rounded-2xl bg-white shadow-sm border">
+            <summary className="text-sm text-gray-500 cursor-pointer">{t("worksheet.title")}</summary>
+            <div className="mt-3 space-y-3 text-sm">
+              <div className="flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2">
+                  {t("worksheet.source")}
+                  <select value={worksheetSource} onChange={(e) => setWorksheetSource(e.target.value)} className="px-2 py-1 rounded-lg border bg-white">
+                    <option value="current">{t("worksheet.current")}</option>
+                    {library.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                    <option value="mistakes" disabled={!mistakeCount}>{t("worksheet.mistakes")}</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  {t("worksheet.count")}
+                  <input type="number" min={1} max={100} value={worksheetSettings.count} onChange={(e) => setWorksheetSettings((v) => ({ ...v, count: Math.max(1, Number(e.target.value) || 1) }))} className="w-20 px-2 py-1 rounded-lg border" />
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={worksheetSettings.shuffle} onChange={(e) => setWorksheetSettings((v) => ({ ...v, shuffle: e.target.checked }))} /> {t("worksheet.shuffle")}
+                </label>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-gray-500">{t("worksheet.kinds")}</span>
+                {WORKSHEET_KINDS.map((k) => (
+                  <label key={k} className="flex items-center gap-1 px-2 py-1 rounded-full border">
+                    <input type="checkbox" checked={worksheetSettings.kinds.includes(k)} onChange={() => setWorksheetSettings((v) => ({ ...v, kinds: v.kinds.includes(k) ? v.kinds.filter((x) => x !== k) : WORKSHEET_KINDS.filter((x) => x === k || v.kinds.includes(x)) }))} />
+                    {t(`worksheetKind.${k}`)}
+                  </label>
+                ))}
+              </div>
+              <button className="px-4 py-2 rounded-2xl border bg-gray-900 text-white disabled:opacity-40" disabled={!worksheetSettings.kinds.length} onClick={makeWorksheet}>{t("worksheet.generate")}</button>
+            </div>
+          </details>
+
+          {/* QUIZ CARD */}
+          <main className="rounded-3xl bg-white border shadow-sm p-6 md:p-8">
+            {!session ? (
+              <div className="text-center text-gray-600">{t("quiz.pickMode")}</div>
+            ) : !question ? (
+              <div className="text-center text-gray-600">{t(reviewOnly ? "quiz.reviewDone" : "quiz.noCards")}</div>
+            ) : (
+              <div className="space-y-6">
+                <div className="flex items-center justify-between text-sm text-gray-500">
+                  <span>
+                    {exam ? t("exam.progress", { n: current + 1, total, mode: modeLabel(t, question.mode) }) : t("quiz.current")}
+                    {cardKey && !exam && (
                       <>
-                        <div><span className="font-semibold">{card?.term}</span><span className="mx-2">→</span><span>{card?.cn || "（无中文释义）"}</span></div>
-                        {card?.ipa && <div className="text-gray-600">IPA: <span className="font-mono">{card.ipa}</span></div>}
+                        {cardTagList.map((tag) => <span key={tag} className="ml-2 px-2 py-0.5 rounded-full border text-xs">#{tag}</span>)}
+                        <button className="ml-2 underline" onClick={() => editTags(cardKey, cardTagList)}>{t("quiz.tags")}</button>
                       </>
+                    )}
+                  </span>
+                  {exam && (
+                    <span>
+                      {exam.deadline ? t("exam.remaining", { time: formatClock(exam.deadline - clock) }) : t("exam.elapsed", { time: formatClock(clock - exam.startedAt) })}
+                      <button className="ml-2 underline" onClick={() => { if (confirm(t("exam.submitConfirm"))) finishExam(); }}>{t("exam.submit")}</button>
+                    </span>
+                  )}
+                  {retrySet && !exam && (
+                    <span>{t("quiz.retrying", { n: session?.items.length ?? 0 })}<button className="ml-2 underline" onClick={() => mode && startMode(mode)}>{t("quiz.exitRetry")}</button></span>
+                  )}
+                </div>
+
+                {qMode === "usage" ? (
+                  <div className="text-xl md:text-2xl font-semibold leading-relaxed">{usage?.q || ""}</div>
+                ) : qMode === "ipa2eng" ? (
+                  <div className="text-2xl md:text-3xl font-mono">{card?.ipa || ""}</div>
+                ) : qMode === "eng2cn" || qMode === "listening" || qMode === "ipa" ? (
+                  <div className="flex items-center gap-3">
+                    <div className="text-2xl md:text-3xl font-semibold">{card?.term || ""}</div>
+                    {sense?.pos && qMode !== "ipa" && <div className="text-lg text-gray-500">{sense.pos}.</div>}
+                    {qMode === "listening" && (
+                      <button className="px-3 py-1.5 rounded-full border" onClick={() => say(card?.term || "")}>{t("quiz.play")}</button>
+                    )}
+                  </div>
+                ) : qMode === "speaking" ? (
+                  <div className="flex flex-wrap items-center gap-3">
+                    <div className="text-2xl md:text-3xl font-semibold">{card?.term || ""}</div>
+                    {card?.ipa && <div className="font-mono text-lg text-gray-600">{card.ipa}</div>}
+                    <button className="px-3 py-1.5 rounded-full border" onClick={() => say(card?.term || "")}>{t("quiz.model")}</button>
+                  </div>
+                ) : qMode === "dictation" || qMode === "audio2ipa" ? (
+                  <div className="flex items-center gap-3">
+                    <div className="text-2xl md:text-3xl font-semibold">{t(qMode === "dictation" ? "quiz.dictationPrompt" : "quiz.audioIpaPrompt")}</div>
+                    <button className="px-3 py-1.5 rounded-full border" onClick={() => say(card?.term || "")}>{t("quiz.play")}</button>
+                    <button className="px-3 py-1.5 rounded-full border" onClick={() => say(card?.term || "", true)}>{t("quiz.slow")}</button>
+                  </div>
+                ) : qMode === "cloze" || qMode === "clozeChoice" ? (
+                  <div className="space-y-1">
+                    <div className="text-xl md:text-2xl leading-relaxed">
+                      {cloze?.before}<span className="inline-block min-w-[4em] mx-1 border-b-2 border-gray-900">&nbsp;</span>{cloze?.after}
+                    </div>
+                    <div className="text-sm text-gray-500">
+                      {card?.cn && t("quiz.hint", { gloss: sense ? senseLabel(sense) : card.cn })}
+                      {qMode === "cloze" && t("quiz.clozeForm")}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-2xl md:text-3xl font-semibold">{sense ? senseLabel(sense) : card?.cn || t("quiz.noGlossSpell")}</div>
+                )}
+
+                {/* Options or input */}
+                {qMode === "speaking" ? (
+                  <div className="space-y-2">
+                    {recognition.available() ? (
+                      <div className="flex items-center gap-3">
+                        <button className={`px-4 py-3 rounded-2xl border ${recording ? "bg-red-50 border-red-400" : ""}`} disabled={reveal} onClick={() => (recording ? recognition.stop() : listenOnce())}>
+                          {t(recording ? "speaking.stop" : "speaking.start")}
+                        </button>
+                        <span className="text-sm text-gray-500">{t("speaking.triesLeft", { n: (session?.maxSpeakAttempts ?? MAX_SPEAK_ATTEMPTS) - speakTries.length })}</span>
+                      </div>
                     ) : (
-                      <>
-                        <span className="font-semibold">{card?.cn || "（无中文释义）"}</span>
-                        <span className="mx-2">→</span>
-                        <span>{card?.term}</span>
-                        {card?.ipa && <div className="text-gray-600">IPA: <span className="font-mono">{card.ipa}</span></div>}
-                      </>
+                      <div className="text-sm text-gray-500">{t("speaking.unsupported")}</div>
                     )}
+                    {speakError && <div className="text-sm text-red-600">{speakError === "not-supported" ? t("speaking.unsupported") : t("speaking.error", { error: speakError })}</div>}
+                    {!reveal && speakTries.length > 0 && <div aria-live="polite">{speakTries.map((heard, i) => (
+                      <div key={i} className="text-sm text-gray-600">{t("speaking.retry", { n: i + 1, heard: heard || t("speaking.nothing") })}</div>
+                    ))}</div>}
                   </div>
-                </div>
-              )}
+                ) : qMode && isChoiceMode(qMode) ? (
+                  <div className="grid md:grid-cols-2 gap-3" role="group" aria-label={t("quiz.options")}>
+                    {options.slice(0, 4).map((opt, idx) => {
+                      const state = reveal ? (opt.correct ? "border-emerald-500 bg-emerald-50" : "border-red-400 bg-red-50") : "";
+                      return (
+                        <button key={idx} aria-keyshortcuts={String(idx + 1)} className={`text-left px-4 py-3 rounded-2xl border hover:bg-gray-50 ${state}`} onClick={() => answer({ choice: idx })} disabled={reveal}>
+                          <div className="text-sm text-gray-500">
+                            {idx + 1}
+                            {reveal && opt.correct && <span className="ml-2 text-emerald-700">{t("quiz.correctOption")}</span>}
+                            {reveal && !opt.correct && chosen === opt.label && <span className="ml-2 text-red-600">{t("quiz.yourChoice")}</span>}
+                          </div>
+                          <div className={`text-base ${qMode === "ipa" || qMode === "audio2ipa" ? "font-mono" : ""}`}>{opt.label || t("quiz.noGloss")}</div>
+                        </button>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-3">
+                    <input
+                      ref={inputRef} value={input} onChange={(e) => setInput(e.target.value)} readOnly={reveal}
+                      aria-label={t("quiz.spelling")} aria-invalid={!!grade && grade.verdict !== "correct"}
+                      placeholder={t("quiz.spellingPlaceholder")} className="w-full md:w-2/3 px-4 py-3 rounded-2xl border focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      onKeyDown={(e) => {
+                        if (e.key === "Escape") e.currentTarget.blur();
+                        else if (reveal && (e.key === "Enter" || e.key === " ")) { e.preventDefault(); next(); }
+                        else if (e.key === "Enter") answer({ text: input });
+                      }}
+                    />
+                    <button className="px-4 py-3 rounded-2xl border" onClick={() => answer({ text: input })} disabled={reveal}>{t("quiz.submit")}</button>
+                  </div>
+                )}
+
+                {/* Reveal */}
+                <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+                {reveal && (
+                  <div className="p-4 rounded-2xl bg-gray-100 border" role="region" aria-label={t("quiz.answer")}>
+                    <div className="text-sm text-gray-500 mb-1">{t("quiz.answer")}</div>
+                    <div className="text-lg space-y-1">
+                      {qMode === "usage" ? (
+                        <>
+                          <div className="font-semibold">{usage?.q}</div>
+                          <div>→ {usage?.options[usage?.answer || 0]}</div>
+                          {usage?.explain && (<div className="text-sm text-gray-600 mt-1">{usage?.explain}</div>)}
+                        </>
+                      ) : qMode === "cloze" || qMode === "clozeChoice" ? (
+                        <>
+                          <div className="flex flex-wrap items-center gap-3">
+                            <div>{cloze?.before}<span className="font-semibold underline">{cloze?.answer}</span>{cloze?.after}</div>
+                            <button className="px-3 py-1 rounded-full border text-sm" onClick={() => say(card?.example || "")}>{t("quiz.playExample")}</button>
+                          </div>
+                          <div><span className="font-semibold">{card?.term}</span><span className="mx-2">→</span><span><SenseList card={card} sense={question?.sense} /></span></div>
+                          {card?.ipa && <div className="text-gray-600">IPA: <span className="font-mono">{card.ipa}</span></div>}
+                          {grade && <SpellingFeedback grade={grade} />}
+                        </>
+                      ) : qMode && isChoiceMode(qMode) ? (
+                        <>
+                          <div><span className="font-semibold">{card?.term}</span><span className="mx-2">→</span><span><SenseList card={card} sense={question?.sense} /></span></div>
+                          {card?.ipa && <div className="text-gray-600">IPA: <span className="font-mono">{card.ipa}</span></div>}
+                        </>
+                      ) : qMode === "speaking" ? (
+                        <>
+                          <div><span className="font-semibold">{card?.term}</span><span className="mx-2">→</span><span><SenseList card={card} sense={question?.sense} /></span></div>
+                          {card?.ipa && <div className="text-gray-600">IPA: <span className="font-mono">{card.ipa}</span></div>}
+                          {speakTries.map((heard, i) => (
+                            <div key={i} className="text-base text-gray-600">{t("speaking.heard", { n: i + 1, heard: heard || t("speaking.nothing") })}</div>
+                          ))}
+                        </>
+                      ) : qMode === "dictation" ? (
+                        <>
+                          <div><span className="font-semibold">{card?.term}</span><span className="mx-2">→</span><span><SenseList card={card} sense={question?.sense} /></span></div>
+                          {card?.ipa && <div className="text-gray-600">IPA: <span className="font-mono">{card.ipa}</span></div>}
+                          {grade && <SpellingFeedback grade={grade} />}
+                        </>
+                      ) : (
+                        <>
+                          <span className="font-semibold"><SenseList card={card} sense={question?.sense} /></span>
+                          <span className="mx-2">→</span>
+                          <span>{card?.term}</span>
+                          {card?.ipa && <div className="text-gray-600">IPA: <span className="font-mono">{card.ipa}</span></div>}
+                          {grade && <SpellingFeedback grade={grade} />}
+                        </>
+                      )}
+                    </div>
+                    {review && <div className="text-sm text-gray-500 mt-2">{t("quiz.nextReview", { due: formatDue(review, t), n: review.interval })}</div>}
+                  </div>
+                )}
 
-              <div className="flex items-center justify-between">
-                <div className="text-sm text-gray-500">快捷键：选项题按 1/2/3/4；拼写题回车提交。</div>
-                <div className="flex gap-2">
-                  <button className="px-4 py-2 rounded-2xl border" onClick={() => { if (!reveal && mode === "usage") { const u = usageData[current]; setMistakes((m) => [...m, { term: u?.q || "", cn: u ? u.options[u.answer] : "" }]); } else if (!reveal) { const c = cards[current]; setMistakes((m) => [...m, { term: c?.term || "", cn: c?.cn || "" }]); } setReveal(true); }}>显示答案</button>
-                  <button className="px-4 py-2 rounded-2xl border" onClick={next}>下一题</button>
+                <div className="flex items-center justify-between">
+                  <div className="text-sm text-gray-500">
+                    {t("quiz.shortcutHint")}
+                    <button className="ml-2 underline" onClick={() => setShowHelp(true)} aria-keyshortcuts="?">{t("quiz.allShortcuts")}</button>
+                    {exam && <div>{t("exam.note")}</div>}
+                  </div>
+                  <div className="flex gap-2">
+                    {undo && !exam && <button className="px-4 py-2 rounded-2xl border" onClick={undoLast} aria-keyshortcuts="U">{t("quiz.undo")}</button>}
+                    {!exam && <button className="px-4 py-2 rounded-2xl border" onClick={revealAnswer} aria-keyshortcuts="R">{t("quiz.reveal")}</button>}
+                    <button className="px-4 py-2 rounded-2xl border" onClick={next} aria-keyshortcuts={reveal ? "Enter Space" : undefined}>{t(exam ? "quiz.skip" : "quiz.next")}</button>
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
+          </main>
+
+          {showHelp && <ShortcutHelp onClose={() => setShowHelp(false)} />}
+
+          {examReport && <ExamReport record={examReport} onClose={() => setExamReport(null)} />}
+
+          {showStats && !exam && (
+            <StatsPanel log={answerLog} onClear={() => { if (confirm(t("stats.clearConfirm"))) setAnswerLog([]); }} />
           )}
-        </main>
-
-        {/* Mistakes */}
-        <section className="mt-6">
-          {mistakes.length > 0 && (
-            <div className="p-4 rounded-2xl bg-white border shadow-sm">
-              <div className="text-sm text-gray-500 mb-2">错题本（{mistakes.length}）</div>
-              <div className="grid md:grid-cols-2 gap-2">
-                {mistakes.slice(-12).map((m, i) => (
-                  <div key={i} className="px-3 py-2 rounded-xl bg-gray-50 border">
-                    <span className="font-medium">{m.term}</span>
-                    <span className="mx-2">→</span>
-                    <span className="text-gray-700">{m.cn || ""}</span>
+
+          {/* Mistakes */}
+          <section className="mt-6">
+            {mistakeCount > 0 && !exam && (
+              <div className="p-4 rounded-2xl bg-white border shadow-sm">
+                <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+                  <div className="text-sm text-gray-500">{t("mistakes.title", { n: mistakeQuery ? `${mistakeList.length} / ${mistakeCount}` : mistakeCount })}</div>
+                  <span className="ml-auto text-sm text-gray-500"><ExportSelect onExport={exportMistakes} /></span>
+                  <input value={mistakeQuery} onChange={(e) => { setMistakeQuery(e.target.value); setMistakePage(0); }} placeholder={t("mistakes.search")} className="px-3 py-1.5 rounded-full border text-sm" />
+                </div>
+                <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+                  <span className="text-gray-500">{t("mistakes.retry")}</span>
+                  {MODES.map((m) => {
+                    const n = mistakeList.filter((x) => qualifies(x, m, targetLang)).length;
+                    return (
+                      <button key={m} className="px-3 py-1.5 rounded-full border disabled:opacity-40" disabled={n === 0} onClick={() => startMode(m, mistakeList)}>{modeLabel(t, m)}{t("modes.count", { n })}</button>
+                    );
+                  })}
+                  <label className="ml-auto flex items-center gap-1 text-gray-500">
+                    {t("mistakes.clearAfterBefore")}
+                    <input type="number" min={1} max={10} value={clearAfter} onChange={(e) => setClearAfter(Math.max(1, Number(e.target.value) || 1))} className="w-14 px-2 py-1 rounded-lg border" />
+                    {t("mistakes.clearAfterAfter")}
+                  </label>
+                </div>
+                <div className="grid md:grid-cols-2 gap-2">
+                  {mistakePageItems.map((m) => (
+                    <div key={m.key} className="px-3 py-2 rounded-xl bg-gray-50 border flex items-start justify-between gap-2">
+                      <div>
+                        <span className="font-medium">{m.usage ? m.usage.q : m.card?.term}</span>
+                        <span className="mx-2">→</span>
+                        <span className="text-gray-700">{m.usage ? m.usage.options[m.usage.answer] : [m.card?.cn, m.card?.ipa].filter(Boolean).join(" ")}</span>
+                        <div className="text-xs text-gray-500 mt-1">{t("mistakes.row", { misses: m.misses, date: new Date(m.lastMissed).toLocaleDateString(), streak: m.streak, target: clearAfter })}</div>
+                      </div>
+                      <button className="text-xs text-gray-500 shrink-0" onClick={() => setMistakes((b) => { const { [m.key]: _removed, ...rest } = b; return rest; })}>{t("mistakes.remove")}</button>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-3 flex items-center justify-between text-sm">
+                  <div className="flex items-center gap-2">
+                    <button className="px-3 py-1 rounded-full border disabled:opacity-40" disabled={page === 0} onClick={() => setMistakePage(page - 1)}>{t("common.prevPage")}</button>
+                    <span className="text-gray-500">{page + 1} / {mistakePages}</span>
+                    <button className="px-3 py-1 rounded-full border disabled:opacity-40" disabled={page + 1 >= mistakePages} onClick={() => setMistakePage(page + 1)}>{t("common.nextPage")}</button>
                   </div>
-                ))}
+                  <button className="text-gray-500 underline" onClick={() => { if (confirm(t("mistakes.clearConfirm"))) { setMistakes({}); setMistakePage(0); } }}>{t("mistakes.clear")}</button>
+                </div>
               </div>
+            )}
+          </section>
+
+          {lintDeck && (
+            <DeckLintDialog deck={lintDeck} onCancel={() => setLintDeck(null)} onSave={(fixed) => saveLintFixes(lintDeck, fixed)} />
+          )}
+
+          {pendingImport && (
+            <ImportDialog name={pendingImport.name} wb={pendingImport.wb} onCancel={() => setPendingImport(null)} onImport={confirmImport} />
+          )}
+          {textImport && (
+            <TextImportDialog {...textImport} onCancel={() => setTextImport(null)} onImport={confirmImport} />
+          )}
+
+          {/* Help */}
+          <footer className="mt-8 text-sm text-gray-500 leading-6">
+            <div className="font-medium text-gray-700 mb-1">{t("help.title")}</div>
+            <ol className="list-decimal ml-5 space-y-1">
+              {HELP_ITEMS.map((k) => <li key={k}>{withCode(t(k, { max: MAX_SPEAK_ATTEMPTS }))}</li>)}
+            </ol>
+          </footer>
+        </div>
+      </div>
+      {worksheet && <WorksheetView sheet={worksheet} onRegenerate={makeWorksheet} onClose={() => setWorksheet(null)} />}
+    </LocaleContext.Provider>
+  );
+}
+
+// ===== Import dialog =====
+type ImportResult = { name: string; cards: Card[]; usage: UsageItem[]; usageErrors: string[]; langs: DeckLanguages };
+
+function ImportDialog({ name, wb, onCancel, onImport }: { name: string; wb: XLSX.WorkBook; onCancel: () => void; onImport: (result: ImportResult) => void }) {
+  const t = useT();
+  const sheets = React.useMemo(() => wb.SheetNames.map((sheetName) => {
+    const rows: unknown[][] = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1 });
+    const usage = parseUsageRows(rows as any[][], t);
+    // 多数行能解析成用法题才算用法题工作表，避免词表里偶然一行被误判
+    return { name: sheetName, rows, usage, isUsage: usage.items.length > 0 && usage.items.length >= usage.errors.length };
+  }), [wb, t]);
+  // 默认：第一个词表工作表 + 全部用法题工作表
+  const [selected, setSelected] = React.useState<string[]>(() => {
+    const firstVocab = sheets.find((s) => !s.isUsage);
+    return sheets.filter((s) => s.isUsage || s === firstVocab).map((s) => s.name);
+  });
+  const vocabSheets = sheets.filter((s) => !s.isUsage && selected.includes(s.name));
+  const usageSheets = sheets.filter((s) => s.isUsage && selected.includes(s.name));
+  const initial = React.useMemo(() => guessColumns(vocabSheets[0]?.rows[0] || []), [vocabSheets[0]]);
+  const [map, setMap] = React.useState<ColumnMap>(initial.map);
+  const [hasHeader, setHasHeader] = React.useState(initial.hasHeader);
+  React.useEffect(() => { setMap(initial.map); setHasHeader(initial.hasHeader); }, [initial]);
+  const [langs, setLangs] = React.useState<DeckLanguages>(DEFAULT_LANGUAGES);
+
+  const columnCount = Math.max(0, ...vocabSheets.flatMap((s) => s.rows.slice(0, 50).map((r) => (r || []).length)));
+  const headerCells = Array.from(vocabSheets[0]?.rows[0] || [], cellText);
+  const result = React.useMemo(() => {
+    const cards: Card[] = [];
+    const skipped: string[] = [];
+    for (const s of vocabSheets) {
+      const r = rowsToCards(s.rows, map, hasHeader, t);
+      cards.push(...r.cards);
+      skipped.push(...r.skipped.map((x) => `${vocabSheets.length > 1 ? `[${s.name}] ` : ""}${t("common.rowError", { row: x.row, error: x.reason })}`));
+    }
+    return { cards, skipped };
+  }, [vocabSheets.map((s) => s.name).join("|"), map, hasHeader, t]);
+  // 数据检查里的修改；换工作表或列映射后重新解析，修改随之作废
+  const [fixed, setFixed] = React.useState<Card[] | null>(null);
+  React.useEffect(() => setFixed(null), [result]);
+  const cards = fixed ?? result.cards;
+  const usageCount = usageSheets.reduce((n, s) => n + s.usage.items.length, 0);
+
+  function toggleSheet(sheetName: string) {
+    setSelected((prev) => (prev.includes(sheetName) ? prev.filter((x) => x !== sheetName) : [...prev, sheetName]));
+  }
+  function submit() {
+    const vocabNames = vocabSheets.map((s) => s.name);
+    onImport({
+      // 单个工作表且是工作簿唯一表时沿用文件名，否则带上工作表名，复习记录按此区分
+      name: wb.SheetNames.length === 1 ? name : `${name}/${vocabNames.join("+")}`,
+      cards,
+      usage: usageSheets.flatMap((s) => s.usage.items),
+      usageErrors: usageSheets.flatMap((s) => s.usage.errors.map((err) => `[${s.name}] ${err}`)),
+      langs,
+    });
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] overflow-auto rounded-3xl bg-white p-6 space-y-4">
+        <div className="text-lg font-semibold">{t("import.title", { name })}</div>
+
+        <div>
+          <div className="text-xs text-gray-500 mb-1">{t("import.sheets")}</div>
+          <div className="flex flex-wrap gap-2">
+            {sheets.map((s) => (
+              <label key={s.name} className="flex items-center gap-2 px-3 py-1.5 rounded-full border text-sm">
+                <input type="checkbox" checked={selected.includes(s.name)} onChange={() => toggleSheet(s.name)} />
+                {s.name}
+                <span className="text-gray-500">{s.isUsage ? t("import.sheetUsage", { n: s.usage.items.length }) : t("import.sheetRows", { n: s.rows.length })}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {vocabSheets.length > 0 && (
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <div className="text-xs text-gray-500">{t("import.columns")}</div>
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} /> {t("import.hasHeader")}
+              </label>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+              {COLUMN_FIELDS.map(({ field, label }) => (
+                <label key={field} className="flex items-center gap-2 text-sm">
+                  <span className="w-16 shrink-0 text-gray-600">{t(label)}</span>
+                  <select value={map[field]} onChange={(e) => setMap((m) => ({ ...m, [field]: Number(e.target.value) }))} className="w-full px-2 py-1 rounded-lg border bg-white">
+                    {field !== "term" && <option value={-1}>{t("import.skipColumn")}</option>}
+                    {Array.from({ length: columnCount }, (_, col) => (
+                      <option key={col} value={col}>{t("import.column", { n: col + 1 })}{hasHeader && headerCells[col] ? `: ${headerCells[col]}` : ""}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
             </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <LanguagePicker value={langs} onChange={setLangs} />
+        </div>
+
+        <div className="p-3 rounded-2xl bg-gray-50 border text-sm space-y-2">
+          <div className="font-semibold">
+            {usageCount > 0
+              ? t("import.summaryUsage", { cards: cards.length, usage: usageCount, skipped: result.skipped.length })
+              : t("import.summary", { cards: cards.length, skipped: result.skipped.length })}
+          </div>
+          <CardPreview cards={cards} />
+          <SkippedRows reasons={result.skipped} />
+          <LintReport cards={cards} target={langs.target} onChange={setFixed} />
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="px-4 py-2 rounded-2xl border" onClick={onCancel}>{t("common.cancel")}</button>
+          <button className="px-4 py-2 rounded-2xl border bg-gray-900 text-white disabled:opacity-40" disabled={!cards.length && !usageCount} onClick={submit}>{t("import.submit")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function CardPreview({ cards }: { cards: Card[] }) {
+  const t = useT();
+  return (
+    <>
+      {cards.slice(0, 5).map((c, i) => (
+        <div key={i} className="text-gray-700">
+          <span className="font-medium">{c.term}</span>
+          {c.pos && <span className="ml-1 text-gray-500">{c.pos}</span>}
+          <span className="mx-2">→</span>{c.cn || t("quiz.noGloss")}
+          {c.ipa && <span className="ml-2 font-mono text-gray-500">{c.ipa}</span>}
+          {c.tags && <span className="ml-2 text-gray-500">#{c.tags.join(" #")}</span>}
+        </div>
+      ))}
+    </>
+  );
+}
+function SkippedRows({ reasons, open }: { reasons: string[]; open?: boolean }) {
+  const t = useT();
+  if (!reasons.length) return null;
+  return (
+    <details open={open}>
+      <summary className="cursor-pointer text-gray-500">{t("import.skippedTitle")}</summary>
+      <ul className="mt-1 text-gray-500">
+        {reasons.slice(0, 50).map((x, i) => <li key={i}>{x}</li>)}
+        {reasons.length > 50 && <li>…</li>}
+      </ul>
+    </details>
+  );
+}
+
+// 学习语言 + 释义语言；JSON 里写了列表外的语言代码时也保留为选项
+function LanguagePicker({ value, onChange }: { value: DeckLanguages; onChange: (langs: DeckLanguages) => void }) {
+  const t = useT();
+  return (
+    <>
+      {(["target", "gloss"] as const).map((field) => (
+        <label key={field} className="flex items-center gap-2">
+          <span className="text-gray-500">{t(`lang.${field}`)}</span>
+          <select value={value[field]} onChange={(e) => onChange({ ...value, [field]: e.target.value })} className="px-2 py-1 rounded-lg border bg-white">
+            {(DECK_LANGUAGES.includes(value[field]) ? DECK_LANGUAGES : [...DECK_LANGUAGES, value[field]]).map((code) => (
+              <option key={code} value={code}>{languageName(t, code)}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </>
+  );
+}
+
+// ===== Shortcut help =====
+function ShortcutHelp({ onClose }: { onClose: () => void }) {
+  const t = useT();
+  const closeRef = React.useRef<HTMLButtonElement>(null);
+  React.useEffect(() => {
+    // 打开时把焦点移进浮层，关闭后还给原来的元素
+    const previous = document.activeElement as HTMLElement | null;
+    closeRef.current?.focus();
+    return () => previous?.focus();
+  }, []);
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+      <div role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" className="w-full max-w-md rounded-3xl bg-white p-6 space-y-4" onClick={(e) => e.stopPropagation()}>
+        <div id="shortcut-help-title" className="text-lg font-semibold">{t("shortcuts.title")}</div>
+        <dl className="grid grid-cols-[auto,1fr] gap-x-4 gap-y-2 text-sm">
+          {SHORTCUTS.map(([key, desc]) => (
+            <React.Fragment key={key}>
+              <dt><kbd className="px-2 py-0.5 rounded border bg-gray-50 font-mono">{key}</kbd></dt>
+              <dd className="text-gray-700">{t(desc)}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        <div className="text-sm text-gray-500">{t("shortcuts.typing")}</div>
+        <div className="flex justify-end">
+          <button ref={closeRef} className="px-4 py-2 rounded-2xl border" onClick={onClose}>{t("common.close")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ===== Text import dialog =====
+const TEXT_FORMAT_LABELS: Record<TextFormat, MessageKey> = { list: "textFormat.list", anki: "textFormat.anki", json: "textFormat.json" };
+const LIST_SEPARATOR_LABELS: Record<ListSeparator, MessageKey> = { tab: "separator.tab", comma: "separator.comma", dash: "separator.dash", custom: "separator.custom" };
+
+function TextImportDialog({ name: initialName, text: initialText, format: initialFormat, onCancel, onImport }: {
+  name: string; text: string; format: TextFormat; onCancel: () => void; onImport: (result: ImportResult) => void;
+}) {
+  const t = useT();
+  const [name, setName] = React.useState(initialName);
+  const [text, setText] = React.useState(initialText);
+  const [format, setFormat] = React.useState(initialFormat);
+  const [separator, setSeparator] = React.useState<ListSeparator>(() => guessListSeparator(initialText));
+  const [custom, setCustom] = React.useState("");
+  const result = React.useMemo(() => parseText(text, format, separator, custom, t), [text, format, separator, custom, t]);
+  const [fixed, setFixed] = React.useState<Card[] | null>(null);
+  React.useEffect(() => setFixed(null), [result]);
+  const cards = fixed ?? result.cards;
+  // JSON 词库自带语言时以文件为准，用户仍可改
+  const [langs, setLangs] = React.useState<DeckLanguages>(DEFAULT_LANGUAGES);
+  React.useEffect(() => { if (result.langs) setLangs(deckLanguages(result.langs)); }, [result.langs?.target, result.langs?.gloss]);
+
+  function changeText(value: string) {
+    // 第一次粘贴时按内容猜分隔符
+    if (!text.trim() && format === "list") setSeparator(guessListSeparator(value));
+    setText(value);
+  }
+  function submit() {
+    onImport({ name: name.trim() || result.name || t("deck.pastedName", { date: dayKey(Date.now()) }), cards, usage: result.usage, usageErrors: [], langs });
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] overflow-auto rounded-3xl bg-white p-6 space-y-4">
+        <div className="text-lg font-semibold">{t("textImport.title")}</div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder={result.name || t("textImport.name")} className="px-3 py-1.5 rounded-xl border" />
+          <select value={format} onChange={(e) => setFormat(e.target.value as TextFormat)} className="px-2 py-1.5 rounded-xl border bg-white">
+            {(Object.keys(TEXT_FORMAT_LABELS) as TextFormat[]).map((f) => <option key={f} value={f}>{t(TEXT_FORMAT_LABELS[f])}</option>)}
+          </select>
+          {format === "list" && (
+            <>
+              <span className="text-gray-500">{t("textImport.separator")}</span>
+              <select value={separator} onChange={(e) => setSeparator(e.target.value as ListSeparator)} className="px-2 py-1.5 rounded-xl border bg-white">
+                {(Object.keys(LIST_SEPARATOR_LABELS) as ListSeparator[]).map((x) => <option key={x} value={x}>{t(LIST_SEPARATOR_LABELS[x])}</option>)}
+              </select>
+              {separator === "custom" && <input value={custom} onChange={(e) => setCustom(e.target.value)} placeholder={t("textImport.customPlaceholder")} className="w-24 px-3 py-1.5 rounded-xl border" />}
+            </>
           )}
-        </section>
-
-        {/* Help */}
-        <footer className="mt-8 text-sm text-gray-500 leading-6">
-          <div className="font-medium text-gray-700 mb-1">使用说明</div>
-          <ol className="list-decimal ml-5 space-y-1">
-            <li>支持上传 <code>.xlsx/.csv</code>（前2-3列=英文/中文/可选IPA）。</li>
-            <li>“听力（TTS）”可朗读单词；“发音（音标）”模式会就 IPA 进行四选一测试。</li>
-            <li>示例按钮可一键载入 7.29 / 8.27 / 8.28 的样例词库进行练习。</li>
-            <li>“用法（句子）”题库已结合你 8.26/8.27/8.28 的词，练搭配与语法。</li>
-          </ol>
-        </footer>
+        </div>
+
+        <textarea value={text} onChange={(e) => changeText(e.target.value)} rows={10} placeholder={"queue\t队列；排队\ncrush\t压碎；迷恋"} className="w-full px-3 py-2 rounded-2xl border font-mono text-sm" />
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <LanguagePicker value={langs} onChange={setLangs} />
+        </div>
+
+        <div className="p-3 rounded-2xl bg-gray-50 border text-sm space-y-2">
+          <div className="font-semibold">
+            {result.usage.length > 0
+              ? t("import.summaryUsage", { cards: cards.length, usage: result.usage.length, skipped: result.errors.length })
+              : t("import.summary", { cards: cards.length, skipped: result.errors.length })}
+          </div>
+          <CardPreview cards={cards} />
+          <SkippedRows reasons={result.errors} open={!cards.length} />
+          <LintReport cards={cards} target={langs.target} onChange={setFixed} />
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="px-4 py-2 rounded-2xl border" onClick={onCancel}>{t("common.cancel")}</button>
+          <button className="px-4 py-2 rounded-2xl border bg-gray-900 text-white disabled:opacity-40" disabled={!cards.length && !result.usage.length} onClick={submit}>{t("import.submit")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ===== Lint report =====
+const LINT_SHOWN = 50;
+function LintReport({ cards, target, onChange }: { cards: Card[]; target?: string; onChange: (cards: Card[]) => void }) {
+  const t = useT();
+  const issues = React.useMemo(() => lintCards(cards, target), [cards, target]);
+  const gaps = React.useMemo(() => lintCoverage(cards), [cards]);
+  function fix(issue: LintIssue, f: LintFix) {
+    if (f !== "edit") { onChange(applyLintFix(cards, issue, f)); return; }
+    const field = LINT_EDIT_FIELD[issue.kind];
+    const label = COLUMN_FIELDS.find((x) => x.field === field)?.label;
+    const value = prompt(label ? t(label) : field, cards[issue.row][field] || "");
+    if (value != null) onChange(applyLintFix(cards, issue, f, value));
+  }
+  if (!cards.length) return null;
+  if (!issues.length && !gaps.length) return <div className="text-emerald-700">{t("lint.none")}</div>;
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-amber-700">{t("lint.found", { n: issues.length })}</span>
+        {issues.some((x) => x.kind === "duplicate" || x.fixes.includes("slashes")) && (
+          <button className="px-2 py-0.5 rounded-full border bg-white" onClick={() => onChange(autoFixCards(cards, target))}>{t("lint.autofix")}</button>
+        )}
+      </div>
+      {gaps.length > 0 && (
+        <div className="text-gray-500">{gaps.map((g) => t("lint.coverage", { mode: modeLabel(t, g.mode), n: g.usable, total: cards.length })).join(t("lint.coverageSeparator"))}</div>
+      )}
+      <ul className="space-y-1">
+        {issues.slice(0, LINT_SHOWN).map((issue) => (
+          <li key={`${issue.row}-${issue.kind}`} className="flex flex-wrap items-center gap-2">
+            <span className="text-gray-500">{t("lint.card", { n: issue.row + 1 })}</span>
+            <span className="font-medium truncate max-w-[16rem]">{cards[issue.row].term}</span>
+            <span className="text-gray-700">{lintMessage(t, issue)}</span>
+            {issue.fixes.map((f) => (
+              <button key={f} className="text-gray-500 underline" onClick={() => fix(issue, f)}>{t(LINT_FIX_LABELS[f])}</button>
+            ))}
+          </li>
+        ))}
+        {issues.length > LINT_SHOWN && <li className="text-gray-500">…</li>}
+      </ul>
+    </div>
+  );
+}
+
+// 词库里的数据检查：修好后保存回词库，内置词库保存为本地修正版
+function DeckLintDialog({ deck, onCancel, onSave }: { deck: Deck; onCancel: () => void; onSave: (cards: Card[]) => void }) {
+  const t = useT();
+  const [cards, setCards] = React.useState(deck.cards);
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] overflow-auto rounded-3xl bg-white p-6 space-y-4">
+        <div className="text-lg font-semibold">{t("lint.dialogTitle", { name: deck.name })}</div>
+        <div className="p-3 rounded-2xl bg-gray-50 border text-sm">
+          <LintReport cards={cards} target={deckLanguages(deck).target} onChange={setCards} />
+        </div>
+        <div className="flex justify-end gap-2">
+          <button className="px-4 py-2 rounded-2xl border" onClick={onCancel}>{t("common.cancel")}</button>
+          <button className="px-4 py-2 rounded-2xl border bg-gray-900 text-white disabled:opacity-40" disabled={cards === deck.cards || !cards.length} onClick={() => onSave(cards)}>{t("common.save")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ===== Spelling feedback =====
+const VERDICT_TEXT: Record<SpellingGrade["verdict"], MessageKey> = {
+  correct: "verdict.correct",
+  close: "verdict.close",
+  wrong: "verdict.wrong",
+};
+
+// 揭晓答案时列出全部义项，本题问到的义项加粗
+function SenseList({ card, sense }: { card?: Card; sense?: number }) {
+  const t = useT();
+  const senses = card ? cardSenses(card) : [];
+  if (senses.length <= 1) return <>{card?.cn || t("quiz.noGloss")}</>;
+  return (
+    <ol className="inline-flex flex-wrap gap-x-3 align-top">
+      {senses.map((x, i) => (
+        <li key={i} className={i === sense ? "font-semibold underline" : "font-normal"}>{i + 1}. {senseLabel(x)}</li>
+      ))}
+    </ol>
+  );
+}
+
+function SpellingFeedback({ grade }: { grade: SpellingGrade }) {
+  const t = useT();
+  // 空格在差异里不可见，用 ␣ 标出
+  const show = (ch?: string) => (ch === " " ? "␣" : ch);
+  const verdict = grade.synonym ? t("spelling.synonym", { expected: grade.expected }) : t(grade.otherTerm ? "spelling.otherTerm" : VERDICT_TEXT[grade.verdict]);
+  return (
+    <div className="mt-2 text-base space-y-1">
+      <div className={grade.verdict === "correct" ? "text-emerald-700" : grade.verdict === "close" ? "text-amber-700" : "text-red-600"}>
+        {verdict}
+        {grade.verdict === "correct" && !grade.synonym && grade.got !== grade.expected && <span className="ml-2 text-sm text-gray-500">{t("spelling.normalized", { expected: grade.expected })}</span>}
+      </div>
+      {grade.got && grade.verdict !== "correct" && (
+        <div className="font-mono">
+          <span className="mr-2 text-sm text-gray-500">{t("spelling.yours")}</span>
+          {grade.ops.map((o, i) =>
+            o.op === "same" ? <span key={i}>{o.want}</span>
+            : o.op === "sub" ? <span key={i}><span className="text-red-600 line-through">{show(o.got)}</span><span className="text-emerald-700 underline">{show(o.want)}</span></span>
+            : o.op === "del" ? <span key={i} className="text-red-600 line-through">{show(o.got)}</span>
+            : <span key={i} className="text-emerald-700 underline">{show(o.want)}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ===== Exam report =====
+function ExamReport({ record, onClose }: { record: ExamRecord; onClose: () => void }) {
+  const t = useT();
+  const total = record.results.length;
+  const correct = record.results.filter((r) => r.correct).length;
+  const answered = record.results.filter((r) => r.answered);
+  const secs = (ms: number, n: number) => (n ? (ms / n / 1000).toFixed(1) : "0.0");
+  const byMode = record.settings.modes
+    .map((mode) => {
+      const rs = record.results.filter((r) => r.mode === mode);
+      return { mode, total: rs.length, correct: rs.filter((r) => r.correct).length, ms: rs.reduce((n, r) => n + r.ms, 0), answered: rs.filter((r) => r.answered).length };
+    })
+    .filter((m) => m.total > 0);
+
+  return (
+    <section className="mt-6 p-4 rounded-2xl bg-white border shadow-sm space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-gray-500">{t("report.title", { date: new Date(record.at).toLocaleString() })}{record.timedOut ? t("report.timedOut") : ""}</div>
+        <button className="text-sm text-gray-500 underline" onClick={onClose}>{t("common.close")}</button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("report.score")}</div><div className="text-lg font-semibold">{t("report.points", { n: total ? Math.round((correct / total) * 100) : 0 })}</div><div className="text-xs text-gray-500">{t("report.correct", { correct, total })}</div></div>
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("report.answered")}</div><div className="text-lg font-semibold">{answered.length} / {total}</div></div>
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("report.duration")}</div><div className="text-lg font-semibold">{formatClock(record.duration)}</div><div className="text-xs text-gray-500">{record.settings.minutes ? t("report.limit", { n: record.settings.minutes }) : t("report.noLimit")}</div></div>
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("report.average")}</div><div className="text-lg font-semibold">{t("common.seconds", { n: secs(answered.reduce((n, r) => n + r.ms, 0), answered.length) })}</div></div>
+      </div>
+
+      <div className="text-sm">
+        <div className="text-xs text-gray-500 mb-1">{t("report.byMode")}</div>
+        {byMode.map((m) => (
+          <div key={m.mode} className="flex justify-between py-1 border-b last:border-0">
+            <span>{modeLabel(t, m.mode)}</span>
+            <span className="text-gray-600">{t("report.modeRow", { correct: m.correct, total: m.total, secs: secs(m.ms, m.answered) })}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="text-sm">
+        <div className="text-xs text-gray-500 mb-1">{t("report.review")}</div>
+        {record.results.map((r, i) => (
+          <div key={i} className={`py-2 border-b last:border-0 flex items-start justify-between gap-2 ${r.correct ? "" : "text-red-700"}`}>
+            <div>
+              <span className="text-gray-500 mr-2">{i + 1}.</span>
+              <span className="font-medium">{r.prompt}</span>
+              <span className="mx-2 text-gray-400">{modeLabel(t, r.mode)}</span>
+              <div className="ml-6">
+                {r.correct ? "✓" : "✗"} {t("report.yourAnswer", { answer: r.answered ? r.given || t("report.empty") : t("report.unanswered") })}
+                {!r.correct && <span className="ml-3 text-gray-700">{t("report.answer", { answer: r.answer })}</span>}
+              </div>
+            </div>
+            <span className="shrink-0 text-gray-500">{r.answered ? t("common.seconds", { n: (r.ms / 1000).toFixed(1) }) : "—"}</span>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// ===== Stats panel =====
+function StatsPanel({ log, onClear }: { log: AnswerLog[]; onClear: () => void }) {
+  const t = useT();
+  const [deck, setDeck] = React.useState("");
+  const decks = React.useMemo(() => [...new Set(log.map((e) => e.deck))], [log]);
+  const stats = React.useMemo(() => summarizeLog(deck ? log.filter((e) => e.deck === deck) : log), [log, deck]);
+  const pct = (x: Tally) => (x.total ? Math.round((x.correct / x.total) * 100) : 0);
+  const secs = (x: Tally) => (x.total ? (x.ms / x.total / 1000).toFixed(1) : "0.0");
+
+  return (
+    <section className="mt-6 p-4 rounded-2xl bg-white border shadow-sm space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm text-gray-500">{t("stats.title")}</div>
+        <div className="flex items-center gap-2 text-sm">
+          <select value={deck} onChange={(e) => setDeck(e.target.value)} className="px-2 py-1 rounded-lg border bg-white">
+            <option value="">{t("stats.allDecks")}</option>
+            {decks.map((d) => <option key={d} value={d}>{d}</option>)}
+          </select>
+          <button className="px-3 py-1 rounded-full border" disabled={!log.length} onClick={() => downloadText(`quizgpt-answers-${dayKey(Date.now())}.csv`, logToCsv(log), "text/csv")}>{t("stats.exportCsv")}</button>
+          <button className="text-gray-500 underline" onClick={onClear}>{t("stats.clear")}</button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("stats.total")}</div><div className="text-lg font-semibold">{stats.total.total}</div></div>
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("stats.accuracy")}</div><div className="text-lg font-semibold">{pct(stats.total)}%</div></div>
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("stats.averageTime")}</div><div className="text-lg font-semibold">{t("common.seconds", { n: secs(stats.total) })}</div></div>
+        <div className="p-3 rounded-xl bg-gray-50 border"><div className="text-gray-500">{t("stats.streak")}</div><div className="text-lg font-semibold">{t("common.days", { n: stats.streak })}</div><div className="text-xs text-gray-500">{t("stats.longest", { longest: stats.longest, days: stats.studyDays })}</div></div>
+      </div>
+
+      <div>
+        <div className="text-xs text-gray-500 mb-1">{t("stats.recent", { n: STATS_DAYS })}</div>
+        <div className="flex items-end gap-1 h-28">
+          {stats.perDay.map((d) => (
+            <div key={d.day} className="flex-1 flex flex-col items-center justify-end h-full" title={`${d.day}: ${d.correct}/${d.total}`}>
+              <div className="w-full rounded-t bg-gray-900" style={{ height: `${d.total ? Math.max(4, pct(d)) : 0}%` }} />
+              <div className="text-[10px] text-gray-500 mt-1">{d.day.slice(5)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <div className="text-xs text-gray-500 mb-1">{t("stats.perMode")}</div>
+          {stats.perMode.length === 0 && <div className="text-gray-500">{t("stats.none")}</div>}
+          {stats.perMode.map((m) => (
+            <div key={m.mode} className="flex justify-between py-1 border-b last:border-0">
+              <span>{modeLabel(t, m.mode)}</span>
+              <span className="text-gray-600">{t("stats.modeRow", { pct: pct(m), correct: m.correct, total: m.total, secs: secs(m) })}</span>
+            </div>
+          ))}
+        </div>
+        <div>
+          <div className="text-xs text-gray-500 mb-1">{t("stats.weakest")}</div>
+          {stats.weakest.length === 0 && <div className="text-gray-500">{t("stats.weakestNone")}</div>}
+          {stats.weakest.map((w) => (
+            <div key={`${w.deck}::${w.term}`} className="flex justify-between gap-2 py-1 border-b last:border-0">
+              <span className="truncate">{w.term}{!deck && <span className="ml-1 text-xs text-gray-400">{w.deck}</span>}</span>
+              <span className="shrink-0 text-gray-600">{t("stats.missed", { missed: w.total - w.correct, total: w.total })}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// ===== Worksheet =====
+type Worksheet = { title: string; sections: WorksheetSection[] };
+
+// 打印时主界面隐藏（print:hidden），只剩练习卷；答案从新的一页开始。题号全卷连续，答案页按同样的题号对照
+function WorksheetView({ sheet, onRegenerate, onClose }: { sheet: Worksheet; onRegenerate: () => void; onClose: () => void }) {
+  const t = useT();
+  const starts = sheet.sections.reduce<number[]>((acc, s, i) => [...acc, i ? acc[i - 1] + sheet.sections[i - 1].entries.length : 1], []);
+  const heading = (s: WorksheetSection, i: number) => t("worksheet.section", { n: i + 1, title: t(`worksheetKind.${s.kind}`) });
+  return (
+    <div className="fixed inset-0 z-50 overflow-auto bg-white text-gray-900 print:static print:overflow-visible">
+      <div className="max-w-3xl mx-auto p-8 print:p-0">
+        <div className="mb-6 flex justify-end gap-2 print:hidden">
+          <button className="px-4 py-2 rounded-2xl border bg-gray-900 text-white" onClick={() => window.print()}>{t("worksheet.print")}</button>
+          <button className="px-4 py-2 rounded-2xl border" onClick={onRegenerate}>{t("worksheet.regenerate")}</button>
+          <button className="px-4 py-2 rounded-2xl border" onClick={onClose}>{t("common.close")}</button>
+        </div>
+
+        <h1 className="text-2xl font-semibold">{sheet.title}</h1>
+        <div className="mt-2 mb-6 text-sm">{t("worksheet.fields")}</div>
+        {sheet.sections.map((s, i) => (
+          <section key={i} className="mb-6">
+            <h2 className="font-semibold">{heading(s, i)}</h2>
+            <div className="mb-2 text-sm text-gray-600">{t(`worksheetHint.${s.kind}`)}</div>
+            <WorksheetQuestions section={s} start={starts[i]} />
+          </section>
+        ))}
+
+        <div className="mt-10 pt-6 border-t border-dashed break-before-page print:mt-0 print:pt-0 print:border-0">
+          <h1 className="text-2xl font-semibold">{t("worksheet.answerKey")} · {sheet.title}</h1>
+          {sheet.sections.map((s, i) => (
+            <section key={i} className="mt-4">
+              <h2 className="font-semibold">{heading(s, i)}</h2>
+              <ol start={starts[i]} className="mt-1 ml-6 list-decimal columns-2 md:columns-3 text-sm">
+                {s.entries.map((e, j) => (
+                  <li key={j} className="break-inside-avoid">
+                    {e.letter && <span className="mr-1 font-semibold">{e.letter}</span>}
+                    <span className={s.kind === "ipa" ? "font-mono" : ""}>{e.answer}</span>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          ))}
+        </div>
       </div>
     </div>
   );
 }
+
+function WorksheetQuestions({ section, start }: { section: WorksheetSection; start: number }) {
+  const blank = <span className="inline-block w-12 mx-2 border-b border-gray-900 align-baseline" />;
+  if (section.kind === "matching") {
+    return (
+      <div className="grid grid-cols-2 gap-6 break-inside-avoid">
+        <ol start={start} className="ml-6 list-decimal space-y-2">
+          {section.entries.map((e, j) => <li key={j}>{blank}{e.prompt}</li>)}
+        </ol>
+        <ul className="space-y-2">
+          {section.choices?.map((c) => <li key={c.key}><span className="mr-2 font-semibold">{c.key}.</span>{c.label}</li>)}
+        </ul>
+      </div>
+    );
+  }
+  if (section.kind === "spelling") {
+    return (
+      <ol start={start} className="ml-6 list-decimal space-y-3">
+        {section.entries.map((e, j) => (
+          <li key={j} className="break-inside-avoid">{e.prompt}<span className="inline-block w-48 ml-3 border-b border-gray-900 align-baseline" /></li>
+        ))}
+      </ol>
+    );
+  }
+  return (
+    <ol start={start} className="ml-6 list-decimal space-y-3">
+      {section.entries.map((e, j) => (
+        <li key={j} className="break-inside-avoid">
+          <div>{e.prompt}</div>
+          <div className={`grid grid-cols-2 gap-x-6 ${section.kind === "ipa" ? "font-mono" : ""}`}>
+            {e.question.options.map((o) => <div key={o.key}><span className="mr-2 font-sans font-semibold">{o.key}.</span>{o.label}</div>)}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// ===== Export select =====
+const EXPORT_LABELS: Record<ExportFormat, MessageKey> = { xlsx: "export.xlsx", csv: "export.csv", anki: "export.anki", json: "export.json" };
+
+// 选中一种格式即导出，然后回到“导出…”
+function ExportSelect({ onExport }: { onExport: (format: ExportFormat) => void }) {
+  const t = useT();
+  return (
+    <select value="" onChange={(e) => { if (e.target.value) onExport(e.target.value as ExportFormat); }} className="px-2 py-0.5 rounded-lg border bg-white">
+      <option value="">{t("export.placeholder")}</option>
+      {(Object.keys(EXPORT_LABELS) as ExportFormat[]).map((f) => <option key={f} value={f}>{t(EXPORT_LABELS[f])}</option>)}
+    </select>
+  );
+}
@@ -0,0 +1,60 @@
+// 朗读逻辑的单元测试：用只记录调用的假 SpeechEngine 代替浏览器 TTS，npm test
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { speakWith, speechLang, createStubRecognition, DEFAULT_SPEECH } from "./speech";
+import type { SpeechEngine, SpeakOptions, SpeechSettings } from "./speech";
+
+function recordingSpeech() {
+  const calls: ({ text: string } & SpeakOptions | "cancel")[] = [];
+  const engine: SpeechEngine = {
+    speak: (text, opts) => { calls.push({ text, ...opts }); },
+    cancel: () => { calls.push("cancel"); },
+    voices: () => [],
+    onVoicesChanged: () => () => {},
+  };
+  return { engine, calls };
+}
+const SETTINGS: SpeechSettings = { lang: "en-US", voiceURI: "Samantha", rate: 1.2, repeat: 3 };
+
+describe("speakWith", () => {
+  test("先打断上一句，再按设置的次数排队朗读", () => {
+    const { engine, calls } = recordingSpeech();
+    speakWith(engine, SETTINGS, "queue");
+    assert.deepEqual(calls, ["cancel", ...Array(3).fill({ text: "queue", lang: "en-US", voiceURI: "Samantha", rate: 1.2 })]);
+  });
+  test("慢速重听只读一遍，语速按比例放慢", () => {
+    const { engine, calls } = recordingSpeech();
+    speakWith(engine, SETTINGS, "queue", true);
+    assert.equal(calls.length, 2);
+    const [, spoken] = calls;
+    assert.ok(spoken !== "cancel" && spoken.rate < SETTINGS.rate);
+  });
+  test("选定的语音只用于英语，其他语言按词库语言朗读", () => {
+    const { engine, calls } = recordingSpeech();
+    speakWith(engine, SETTINGS, "排队", false, "zh");
+    assert.deepEqual(calls[1], { text: "排队", lang: "zh-CN", voiceURI: undefined, rate: 1.2 });
+  });
+  test("空文本不朗读，也不打断", () => {
+    const { engine, calls } = recordingSpeech();
+    speakWith(engine, DEFAULT_SPEECH, "");
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe("speechLang", () => {
+  test("英语按口音设置，其他语言补上地区", () => {
+    assert.equal(speechLang(SETTINGS, "en"), "en-US");
+    assert.equal(speechLang(DEFAULT_SPEECH, "en-US"), "en-GB");
+    assert.equal(speechLang(SETTINGS, "ja"), "ja-JP");
+    assert.equal(speechLang(SETTINGS, "pt-BR"), "pt-BR");
+    assert.equal(speechLang(SETTINGS, "it"), "it");
+  });
+});
+
+describe("createStubRecognition", () => {
+  test("按顺序返回预设结果，用完后返回空", async () => {
+    const rec = createStubRecognition(["queue"]);
+    assert.deepEqual(await rec.listen("en-GB"), ["queue"]);
+    assert.deepEqual(await rec.listen("en-GB"), []);
+  });
+});
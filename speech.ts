@@ -0,0 +1,107 @@
+// 朗读与语音识别：浏览器实现和可替换的接口，以及朗读次数、语速、口音等纯逻辑（可用假实现单独测试）。
+import { baseLang } from "./quiz_engine";
+
+// ===== Speech =====
+export type SpeechVoice = { name: string; voiceURI: string; lang: string };
+export type SpeakOptions = { lang: string; voiceURI?: string; rate: number };
+// 朗读层可替换：组件通过 speech 属性接收，测试中可传入只记录调用的假实现
+export type SpeechEngine = {
+  speak(text: string, opts: SpeakOptions): void; // 排队朗读，不打断前一句
+  cancel(): void;
+  voices(): SpeechVoice[];
+  onVoicesChanged(cb: () => void): () => void;
+};
+export type SpeechSettings = { lang: "en-GB" | "en-US"; voiceURI?: string; rate: number; repeat: number };
+
+export const webSpeech: SpeechEngine = {
+  speak(text, { lang, voiceURI, rate }) {
+    try {
+      const utter = new SpeechSynthesisUtterance(text);
+      utter.lang = lang;
+      utter.rate = rate;
+      const voice = window.speechSynthesis.getVoices().find((v) => v.voiceURI === voiceURI);
+      if (voice) utter.voice = voice;
+      window.speechSynthesis.speak(utter);
+    } catch {}
+  },
+  cancel() {
+    try { window.speechSynthesis.cancel(); } catch {}
+  },
+  voices() {
+    try {
+      return window.speechSynthesis.getVoices().map(({ name, voiceURI, lang }) => ({ name, voiceURI, lang }));
+    } catch {
+      return [];
+    }
+  },
+  // 浏览器异步加载语音列表，加载完成后会触发 voiceschanged
+  onVoicesChanged(cb) {
+    try {
+      window.speechSynthesis.addEventListener("voiceschanged", cb);
+      return () => window.speechSynthesis.removeEventListener("voiceschanged", cb);
+    } catch {
+      return () => {};
+    }
+  },
+};
+
+// ===== Speech recognition =====
+// 识别层可替换：listen 返回识别到的候选文本（可能为空），出错时 reject，message 为错误代码（界面负责翻译）
+export type RecognitionAdapter = {
+  available(): boolean;
+  listen(lang: string): Promise<string[]>;
+  stop(): void;
+};
+
+let activeRecognition: { stop(): void } | null = null;
+export const webRecognition: RecognitionAdapter = {
+  available() {
+    return typeof window !== "undefined" && !!((window as any).SpeechRecognition || (window as any).webkitSpeechRecognition);
+  },
+  listen(lang) {
+    return new Promise((resolve, reject) => {
+      const Recognition = (window as any).SpeechRecognition || (window as any).webkitSpeechRecognition;
+      if (!Recognition) return reject(new Error("not-supported"));
+      const rec = new Recognition();
+      rec.lang = lang;
+      rec.interimResults = false;
+      rec.maxAlternatives = 5;
+      let heard: string[] = [];
+      rec.onresult = (e: any) => { heard = Array.from(e.results[0] || [], (alt: any) => String(alt.transcript)); };
+      rec.onerror = (e: any) => reject(new Error(e.error || "failed"));
+      rec.onend = () => { activeRecognition = null; resolve(heard); };
+      activeRecognition = rec;
+      rec.start();
+    });
+  },
+  stop() {
+    activeRecognition?.stop();
+  },
+};
+// 离线/测试用：按顺序返回预设的识别结果
+export function createStubRecognition(answers: string[]): RecognitionAdapter {
+  const queue = [...answers];
+  return {
+    available: () => true,
+    listen: async () => { const next = queue.shift(); return next == null ? [] : [next]; },
+    stop() {},
+  };
+}
+
+export const DEFAULT_SPEECH: SpeechSettings = { lang: "en-GB", rate: 1, repeat: 1 };
+const SLOW_RATE = 0.6;
+// 词库语言对应的朗读/识别地区；英语另按设置里的口音
+const SPEECH_LOCALES: Record<string, string> = { zh: "zh-CN", ja: "ja-JP", ko: "ko-KR", es: "es-ES", fr: "fr-FR", de: "de-DE" };
+export function speechLang(settings: SpeechSettings, lang: string) {
+  const base = baseLang(lang);
+  if (base === "en") return settings.lang;
+  return lang.includes("-") ? lang : SPEECH_LOCALES[base] ?? lang;
+}
+// 自动重复按设置的次数排队朗读；慢速重听只读一遍；选定的语音只用于英语
+export function speakWith(engine: SpeechEngine, settings: SpeechSettings, text: string, slow = false, lang = "en") {
+  if (!text) return;
+  engine.cancel();
+  const english = baseLang(lang) === "en";
+  const opts = { lang: speechLang(settings, lang), voiceURI: english ? settings.voiceURI : undefined, rate: slow ? settings.rate * SLOW_RATE : settings.rate };
+  for (let i = 0; i < (slow ? 1 : settings.repeat); i++) engine.speak(text, opts);
+}